@@ -1,8 +1,57 @@
 // Service worker to manage toolbar icon and badge based on site‑specific
 // settings. When a tab is updated, activated or when siteConfigs
-// change, it retrieves the configuration for the tab's domain and
-// updates the extension's icon and badge accordingly.
-// Also handles keyboard shortcuts for toggling masking on/off.
+// change, it resolves the site rules that apply to the tab's URL and
+// updates the extension's icon and badge accordingly. While a site is
+// snoozed the badge counts down the time left; otherwise it can count
+// the numbers hidden on the page.
+// Alarms fire whenever a schedule window opens or closes or a snooze
+// ends, and the tabs then re-apply their settings (see schedule.js).
+// Also handles keyboard shortcuts for toggling masking on/off and for
+// peeking at the unmasked page and the context menu entries, keeps the
+// document_start scripts for enabled sites registered, migrates stored
+// settings after an update and keeps them in chrome.storage.sync when
+// the user turned sync on.
+
+importScripts('config.js', 'schedule.js', 'settings.js');
+
+const { createSiteConfig, matchingRules, resolveSiteConfig, ruleCovers, ruleMatchPattern, ruleMatches } = SeeNoNumbersConfig;
+const { SYNC_META, SYNCED_KEYS, migrateStorage, pullSync, pushSync, startSync } = SeeNoNumbersSettings;
+const { ALL_SITES, maskingActive, nextScheduleChange, scheduleActive, snoozedUntil } = SeeNoNumbersSchedule;
+
+// Everything that decides whether a page is masked, and whether its
+// badge counts the hidden numbers, with defaults.
+const STATE_DEFAULTS = { siteConfigs: {}, globalEnabled: true, globalSchedule: null, snoozes: {}, badgeCount: false };
+
+// Alarm for the next schedule or snooze change, and the alarm that
+// updates the snooze countdown in the badge every minute.
+const SCHEDULE_ALARM = 'see-no-numbers-schedule';
+const BADGE_ALARM = 'see-no-numbers-badge';
+
+// How long to wait after a change before sending settings to
+// chrome.storage.sync, in milliseconds, so that a burst of edits is one
+// write and stays within the sync write quotas.
+const SYNC_DELAY = 2000;
+
+// Context menu entries. The element entries act on the element the menu
+// was opened on, which only the content script of that frame knows;
+// enable-site is a checkbox that follows the active tab's site rule.
+const MENU_CONTEXTS = ['page', 'frame', 'link', 'image', 'selection'];
+const ENABLE_SITE_MENU = 'enable-site';
+const MENU_ITEMS = [
+  { id: 'reveal-element', title: 'Reveal numbers in this element' },
+  { id: 'mask-element', title: 'Always mask this element' },
+  { id: 'exclude-element', title: 'Never mask this element' },
+  { id: 'mask-selection', title: 'Mask “%s” on this site', contexts: ['selection'] },
+  { id: ENABLE_SITE_MENU, title: 'Enable masking on this site', type: 'checkbox' }
+];
+
+// Actions of the element entries, as understood by content.js, and the
+// site rule lists their selectors are added to.
+const ELEMENT_ACTIONS = {
+  'reveal-element': { action: 'reveal' },
+  'mask-element': { action: 'mask', key: 'maskSelectors' },
+  'exclude-element': { action: 'exclude', key: 'excludeSelectors' }
+};
 
 const ICONS = {
   on: {
@@ -20,51 +69,401 @@ const ICONS = {
 };
 
 /**
- * Update the toolbar icon and badge for a given tab based on its domain.
- * Takes into account both site-specific and global enabled state.
+ * Format the time left until a snooze ends for the badge: minutes
+ * below an hour, hours after that.
+ * @param {number} remaining Milliseconds
+ * @returns {string}
+ */
+function formatRemaining(remaining) {
+  const minutes = Math.ceil(remaining / 60000);
+  return minutes < 60 ? `${minutes}m` : `${Math.ceil(minutes / 60)}h`;
+}
+
+// Counts of masked and kept matches reported by the content scripts,
+// by tab id and then frame id, or null until read back from session
+// storage. Session storage outlives a restart of the service worker but
+// not of the browser, and nothing in it leaves the device.
+let tabStats = null;
+let tabStatsWaiting = [];
+
+/**
+ * Call back with the statistics of every tab once they are loaded.
+ * @param {function(Object)} callback
+ */
+function withTabStats(callback) {
+  if (tabStats) {
+    callback(tabStats);
+    return;
+  }
+  tabStatsWaiting.push(callback);
+  if (tabStatsWaiting.length > 1) return;
+  chrome.storage.session.get({ tabStats: {} }, result => {
+    tabStats = result.tabStats || {};
+    tabStatsWaiting.forEach(waiting => waiting(tabStats));
+    tabStatsWaiting = [];
+  });
+}
+
+/**
+ * Add up the statistics of a tab's frames.
+ * @param {Object} frames Statistics by frame id
+ * @returns {{masked:Object<string, number>, kept:Object<string, number>}}
+ */
+function totalStats(frames) {
+  const total = { masked: {}, kept: {} };
+  Object.values(frames || {}).forEach(stats => {
+    ['masked', 'kept'].forEach(kind => {
+      Object.keys(stats[kind] || {}).forEach(category => {
+        total[kind][category] = (total[kind][category] || 0) + stats[kind][category];
+      });
+    });
+  });
+  return total;
+}
+
+/**
+ * Forget the statistics of a tab.
+ * @param {number} tabId
+ */
+function clearTabStats(tabId) {
+  withTabStats(stats => {
+    if (!stats[tabId]) return;
+    delete stats[tabId];
+    chrome.storage.session.set({ tabStats: stats });
+  });
+}
+
+/**
+ * Format a count for the badge, which fits about four characters.
+ * @param {number} count
+ * @returns {string}
+ */
+function formatCount(count) {
+  if (count < 1000) return String(count);
+  return count < 100000 ? `${Math.floor(count / 1000)}k` : '99k+';
+}
+
+/**
+ * Update the toolbar icon and badge for a given tab based on its URL.
+ * Takes into account the site's settings and schedule, the global
+ * enabled state and schedule, and snoozes. With badgeCount set, the
+ * badge otherwise shows how many numbers the tab hides.
  * @param {Object} tab Chrome tab object
  */
 function updateTabIcon(tab) {
   if (!tab || !tab.id || !tab.url) return;
-  let domain;
-  try {
-    const url = new URL(tab.url);
-    domain = url.hostname;
-  } catch (e) {
-    return;
-  }
-  chrome.storage.local.get({ siteConfigs: {}, globalEnabled: true }, result => {
-    const siteConfigs = result.siteConfigs || {};
-    const siteConfig = siteConfigs[domain] || {};
+  chrome.storage.local.get(STATE_DEFAULTS, result => withTabStats(allStats => {
+    const siteConfig = resolveSiteConfig(result.siteConfigs || {}, tab.url);
     const globalEnabled = result.globalEnabled !== false;
-    // Only show as enabled if both global and site-specific are enabled
-    const enabled = globalEnabled && siteConfig.enabled === true;
+    const now = new Date();
+    const enabled = maskingActive(siteConfig, result, tab.url, now);
+    const snoozeEnd = snoozedUntil(result.snoozes, tab.url, now.getTime());
     const icons = enabled ? ICONS.on : ICONS.off;
     chrome.action.setIcon({ tabId: tab.id, path: icons });
     // Show "OFF" badge when globally disabled to distinguish from site-disabled
     if (!globalEnabled) {
       chrome.action.setBadgeText({ tabId: tab.id, text: 'OFF' });
       chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#666' });
+    } else if (snoozeEnd) {
+      chrome.action.setBadgeText({ tabId: tab.id, text: formatRemaining(snoozeEnd - now.getTime()) });
+      chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#1a73e8' });
     } else {
-      chrome.action.setBadgeText({ tabId: tab.id, text: '' });
+      const masked = totalStats(allStats[tab.id]).masked;
+      const count = Object.values(masked).reduce((sum, n) => sum + n, 0);
+      chrome.action.setBadgeText({ tabId: tab.id, text: result.badgeCount && count ? formatCount(count) : '' });
+      chrome.action.setBadgeBackgroundColor({ tabId: tab.id, color: '#5f6368' });
     }
-  });
+    if (tab.active) {
+      chrome.contextMenus.update(ENABLE_SITE_MENU, { checked: Boolean(siteConfig.enabled) }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+  }));
 }
 
-// Update icons on installation or refresh for all existing tabs
-chrome.runtime.onInstalled.addListener(() => {
+/**
+ * Update the icon and badge of every tab.
+ */
+function updateAllTabIcons() {
   chrome.tabs.query({}, tabs => {
     tabs.forEach(updateTabIcon);
   });
+}
+
+// Ids of the scripts registered by syncEarlyScripts.
+const EARLY_SCRIPT_IDS = ['see-no-numbers-early', 'see-no-numbers-canvas'];
+
+// Whether syncEarlyScripts is running, and whether it was called again
+// meanwhile. Runs that overlapped could unregister twice and then
+// register twice, and the second registration would fail on the ids
+// the first one took.
+let earlyScriptsRunning = false;
+let earlyScriptsDirty = false;
+
+/**
+ * Register the scripts that run at document_start on every site with
+ * masking enabled: early.js, which hides the page until content.js has
+ * masked it, and the canvas override, which must be in place before
+ * the page's own scripts draw anything. Their match patterns come from
+ * the site rules that mask right now, or that always mask some
+ * elements, so the decision needs no storage
+ * lookup when a page loads. They are re-registered whenever the
+ * settings change and when a schedule or snooze changes what is masked.
+ * A call made while a run is in progress starts another run once it
+ * ends, so that the last one reads the latest settings.
+ */
+function syncEarlyScripts() {
+  if (earlyScriptsRunning) {
+    earlyScriptsDirty = true;
+    return;
+  }
+  earlyScriptsRunning = true;
+  earlyScriptsDirty = false;
+  const done = () => {
+    earlyScriptsRunning = false;
+    if (earlyScriptsDirty) syncEarlyScripts();
+  };
+  chrome.storage.local.get(STATE_DEFAULTS, result => {
+    const siteConfigs = result.siteConfigs || {};
+    const snoozes = result.snoozes || {};
+    const now = new Date();
+    // A rule is snoozed by a snooze of any rule covering all of it, as
+    // snoozedUntil matches snoozes to pages
+    const snoozed = key => Object.keys(snoozes).some(snoozeKey => snoozes[snoozeKey] > now.getTime() &&
+      (snoozeKey === ALL_SITES || ruleCovers(snoozeKey, key)));
+    let matches = [];
+    let excludeMatches = [];
+    const masking = result.globalEnabled !== false && !(snoozes[ALL_SITES] > now.getTime());
+    if (masking && scheduleActive(result.globalSchedule, now)) {
+      // Every site is masked except the snoozed ones. A path rule's
+      // pattern also covers longer paths, whose pages are then masked
+      // without being hidden first.
+      matches = ['<all_urls>'];
+      excludeMatches = Object.keys(snoozes)
+        .filter(key => key !== ALL_SITES && snoozes[key] > now.getTime())
+        .map(ruleMatchPattern)
+        .filter(Boolean);
+    } else if (masking) {
+      matches = Object.keys(siteConfigs)
+        .filter(key => {
+          const config = siteConfigs[key];
+          return config && !snoozed(key) && ((config.enabled &&
+            (!config.schedule || scheduleActive(config.schedule, now))) ||
+            (config.maskSelectors || []).length > 0);
+        })
+        .map(ruleMatchPattern)
+        .filter(Boolean);
+    }
+    chrome.scripting.unregisterContentScripts({ ids: EARLY_SCRIPT_IDS }, () => {
+      // Fails when nothing was registered yet
+      void chrome.runtime.lastError;
+      if (!matches.length) {
+        done();
+        return;
+      }
+      chrome.scripting.registerContentScripts([
+        {
+          id: 'see-no-numbers-early',
+          matches,
+          excludeMatches,
+          js: ['early.js'],
+          runAt: 'document_start',
+          allFrames: true,
+          matchOriginAsFallback: true
+        },
+        {
+          id: 'see-no-numbers-canvas',
+          matches,
+          excludeMatches,
+          js: ['transform.js', 'injection.js'],
+          runAt: 'document_start',
+          allFrames: true,
+          world: 'MAIN'
+        }
+      ], () => {
+        // On failure pages load without the early scripts until the
+        // next run, and are masked when content.js starts as before
+        void chrome.runtime.lastError;
+        done();
+      });
+    });
+  });
+}
+
+/**
+ * Send a config-update message to every tab.
+ */
+function notifyAllTabs() {
+  chrome.tabs.query({}, tabs => {
+    for (const tab of tabs) {
+      chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
+        void chrome.runtime.lastError;
+      });
+    }
+  });
+}
+
+/**
+ * Bring local and synced settings together if sync is on, and reload
+ * the tabs when settings arrived from elsewhere.
+ * @param {boolean} firstTime Whether sync was just turned on
+ */
+function resumeSync(firstTime) {
+  chrome.storage.local.get({ syncEnabled: false }, result => {
+    if (!result.syncEnabled) return;
+    startSync(firstTime, changed => {
+      if (changed) notifyAllTabs();
+    });
+  });
+}
+
+// The timer of a push waiting for SYNC_DELAY, and the number of pushes
+// being written. While either is set, local changes have not reached
+// chrome.storage.sync yet, and pulling would overwrite them.
+let pushTimer = null;
+let pushesRunning = 0;
+
+/**
+ * Send changed settings to chrome.storage.sync after SYNC_DELAY, if
+ * sync is on.
+ */
+function schedulePush() {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => {
+    pushTimer = null;
+    pushesRunning++;
+    chrome.storage.local.get({ syncEnabled: false }, result => {
+      if (!result.syncEnabled) {
+        pushesRunning--;
+        return;
+      }
+      pushSync(() => {
+        pushesRunning--;
+      });
+    });
+  }, SYNC_DELAY);
+}
+
+/**
+ * Set the alarm for the next time a schedule window opens or closes or
+ * a snooze ends, and run the badge countdown while anything is snoozed.
+ */
+function updateAlarms() {
+  chrome.storage.local.get(STATE_DEFAULTS, result => {
+    const now = new Date();
+    const siteConfigs = result.siteConfigs || {};
+    const snoozeEnds = Object.values(result.snoozes || {}).filter(end => end > now.getTime());
+    const changes = snoozeEnds.concat([result.globalSchedule]
+      .concat(Object.keys(siteConfigs)
+        .filter(key => siteConfigs[key] && siteConfigs[key].enabled)
+        .map(key => siteConfigs[key].schedule))
+      .map(schedule => nextScheduleChange(schedule, now))
+      .filter(Boolean));
+    if (changes.length) {
+      chrome.alarms.create(SCHEDULE_ALARM, { when: Math.min(...changes) });
+    } else {
+      chrome.alarms.clear(SCHEDULE_ALARM);
+    }
+    if (snoozeEnds.length) {
+      // Creating the alarm again would restart its period
+      chrome.alarms.get(BADGE_ALARM, alarm => {
+        if (!alarm) chrome.alarms.create(BADGE_ALARM, { periodInMinutes: 1 });
+      });
+    } else {
+      chrome.alarms.clear(BADGE_ALARM);
+    }
+  });
+}
+
+/**
+ * Forget snoozes that have ended.
+ * @param {function()} callback
+ */
+function pruneSnoozes(callback) {
+  chrome.storage.local.get({ snoozes: {} }, result => {
+    const now = Date.now();
+    const snoozes = result.snoozes || {};
+    const expired = Object.keys(snoozes).filter(key => !(snoozes[key] > now));
+    if (!expired.length) {
+      callback();
+      return;
+    }
+    expired.forEach(key => delete snoozes[key]);
+    chrome.storage.local.set({ snoozes }, callback);
+  });
+}
+
+// When a schedule window opens or closes or a snooze ends, have every
+// tab re-apply its settings, which masks snoozed pages again
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    pruneSnoozes(() => {
+      notifyAllTabs();
+      updateAllTabIcons();
+      syncEarlyScripts();
+      updateAlarms();
+    });
+  } else if (alarm.name === BADGE_ALARM) {
+    updateAllTabIcons();
+  }
 });
 
-// Update icons when a tab is updated
+/**
+ * Create the context menu entries, replacing those of a previous
+ * version.
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    MENU_ITEMS.forEach(item => {
+      chrome.contextMenus.create(Object.assign({ contexts: MENU_CONTEXTS }, item), () => {
+        void chrome.runtime.lastError;
+      });
+    });
+  });
+}
+
+// Migrate stored settings, then update icons for all existing tabs on
+// installation or update
+chrome.runtime.onInstalled.addListener(() => {
+  createContextMenus();
+  migrateStorage(() => {
+    updateAllTabIcons();
+    syncEarlyScripts();
+    updateAlarms();
+    resumeSync(false);
+  });
+});
+
+// Pick up changes synced while the browser was closed, and schedules
+// that changed state meanwhile
+chrome.runtime.onStartup.addListener(() => {
+  migrateStorage(() => {
+    syncEarlyScripts();
+    updateAlarms();
+    resumeSync(false);
+  });
+});
+
+// Update icons when a tab is updated. A URL change without a reload
+// (single-page apps) can move the tab under a different path rule, so
+// the content script is asked to re-resolve its configuration too.
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab) {
+  if (changeInfo.status === 'loading' || changeInfo.url) {
+    // The content scripts report again for the new page
+    clearTabStats(tabId);
+  }
+  if (changeInfo.url && tab) {
+    chrome.tabs.sendMessage(tabId, { type: 'config-update', resetStats: true }, () => {
+      void chrome.runtime.lastError;
+    });
+  }
+  if ((changeInfo.status === 'complete' || changeInfo.url) && tab) {
     updateTabIcon(tab);
   }
 });
 
+chrome.tabs.onRemoved.addListener(clearTabStats);
+
 // Update icons when the active tab changes
 chrome.tabs.onActivated.addListener(activeInfo => {
   chrome.tabs.get(activeInfo.tabId, tab => {
@@ -72,38 +471,57 @@ chrome.tabs.onActivated.addListener(activeInfo => {
   });
 });
 
-// Update icons when site configurations or global settings change
+// Update icons, scripts and alarms when site configurations, global
+// settings, schedules or snoozes change, and keep settings in step with
+// chrome.storage.sync
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && (changes.siteConfigs || changes.globalEnabled)) {
-    chrome.tabs.query({}, tabs => {
-      tabs.forEach(updateTabIcon);
+  if (areaName === 'local' && Object.keys(STATE_DEFAULTS).some(key => changes[key])) {
+    updateAllTabIcons();
+    syncEarlyScripts();
+    updateAlarms();
+  }
+  if (areaName === 'local' && changes.syncEnabled && changes.syncEnabled.newValue) {
+    resumeSync(true);
+  } else if (areaName === 'local' && SYNCED_KEYS.some(key => changes[key])) {
+    schedulePush();
+  }
+  // Settings changed here are sent first; the push then overwrites
+  // whatever arrived meanwhile
+  if (areaName === 'sync' && changes[SYNC_META] && pushTimer === null && !pushesRunning) {
+    chrome.storage.local.get({ syncEnabled: false }, result => {
+      if (!result.syncEnabled) return;
+      pullSync(changed => {
+        if (changed) notifyAllTabs();
+      });
     });
   }
 });
 
 /**
- * Toggle masking for a specific domain and notify all tabs.
- * @param {string} domain The domain to toggle
+ * Change the site rule for the page at a URL and notify the affected
+ * tabs. The most specific rule that applies to the URL is updated; if
+ * there is none, a rule for the exact host is created from the user's
+ * defaults.
+ * @param {string} url The URL of the page
+ * @param {function(Object, Object)} edit Called with the rule to modify
+ *   and the settings currently in effect for the URL
  */
-function toggleSiteMasking(domain) {
-  chrome.storage.local.get({ siteConfigs: {}, globalEnabled: true }, result => {
+function updateSiteRule(url, edit) {
+  chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
     const siteConfigs = result.siteConfigs || {};
-    const currentConfig = siteConfigs[domain] || { enabled: false, hideMagnitude: false };
-    currentConfig.enabled = !currentConfig.enabled;
-    siteConfigs[domain] = currentConfig;
+    const keys = matchingRules(siteConfigs, url);
+    const key = keys.length ? keys[keys.length - 1] : new URL(url).hostname;
+    const currentConfig = siteConfigs[key] || createSiteConfig(result.siteDefaults);
+    edit(currentConfig, resolveSiteConfig(siteConfigs, url));
+    siteConfigs[key] = currentConfig;
     chrome.storage.local.set({ siteConfigs }, () => {
-      // Notify all tabs of this domain to reload config
+      // Notify all tabs covered by this rule to reload config
       chrome.tabs.query({}, tabs => {
         for (const tab of tabs) {
-          try {
-            const tabUrl = new URL(tab.url);
-            if (tabUrl.hostname === domain) {
-              chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
-                void chrome.runtime.lastError;
-              });
-            }
-          } catch (e) {
-            // skip invalid urls
+          if (tab.url && ruleMatches(key, tab.url)) {
+            chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
+              void chrome.runtime.lastError;
+            });
           }
         }
       });
@@ -111,6 +529,66 @@ function toggleSiteMasking(domain) {
   });
 }
 
+/**
+ * Toggle masking for the page at a URL and notify the affected tabs.
+ * @param {string} url The URL of the page to toggle
+ */
+function toggleSiteMasking(url) {
+  updateSiteRule(url, (siteConfig, current) => {
+    siteConfig.enabled = !current.enabled;
+  });
+}
+
+/**
+ * Add a value to one of a site rule's lists, unless it is there already.
+ * @param {Object} siteConfig
+ * @param {string} key
+ * @param {*} value A selector or pattern
+ */
+function addToRuleList(siteConfig, key, value) {
+  const list = siteConfig[key] = siteConfig[key] || [];
+  const serialized = JSON.stringify(value);
+  if (!list.some(item => JSON.stringify(item) === serialized)) {
+    list.push(value);
+  }
+}
+
+/**
+ * Carry out one of the element entries of the context menu. The content
+ * script in the frame the menu was opened in reveals the element, or
+ * returns its selector to add to the site rule of the tab.
+ * @param {Object} info Click details from chrome.contextMenus
+ * @param {Object} tab Chrome tab object
+ */
+function handleElementMenu(info, tab) {
+  const { action, key } = ELEMENT_ACTIONS[info.menuItemId];
+  chrome.tabs.sendMessage(tab.id, { type: 'context-element', action }, { frameId: info.frameId || 0 }, response => {
+    if (chrome.runtime.lastError || !key || !response || !response.selector) return;
+    updateSiteRule(tab.url, siteConfig => addToRuleList(siteConfig, key, response.selector));
+  });
+}
+
+// Handle context menu entries
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (!tab || !tab.id || !tab.url) return;
+  try {
+    new URL(tab.url);
+  } catch (e) {
+    return;
+  }
+  if (ELEMENT_ACTIONS[info.menuItemId]) {
+    handleElementMenu(info, tab);
+  } else if (info.menuItemId === 'mask-selection') {
+    const pattern = (info.selectionText || '').trim();
+    if (!pattern) return;
+    updateSiteRule(tab.url, siteConfig => addToRuleList(siteConfig, 'maskPatterns', { pattern, regex: false }));
+  } else if (info.menuItemId === ENABLE_SITE_MENU) {
+    updateSiteRule(tab.url, siteConfig => {
+      siteConfig.enabled = info.checked;
+    });
+  }
+});
+
 /**
  * Toggle the global enabled state. When disabled globally, no sites
  * will have masking applied regardless of per-site settings.
@@ -120,32 +598,86 @@ function toggleGlobalEnabled() {
     const newState = !result.globalEnabled;
     chrome.storage.local.set({ globalEnabled: newState }, () => {
       // Notify all tabs to reload config
-      chrome.tabs.query({}, tabs => {
-        for (const tab of tabs) {
-          chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
-            void chrome.runtime.lastError;
-          });
-        }
-      });
+      notifyAllTabs();
+    });
+  });
+}
+
+/**
+ * Ask a tab to show its numbers for a short while. In 'hold' mode the
+ * peek ends as soon as the shortcut keys are released; in 'timed' mode
+ * it lasts for peekSeconds.
+ * @param {Object} tab Chrome tab object
+ */
+function peekTab(tab) {
+  if (!tab || !tab.id) return;
+  chrome.storage.local.get({ peekMode: 'hold', peekSeconds: 3 }, result => {
+    chrome.tabs.sendMessage(tab.id, {
+      type: 'peek',
+      seconds: result.peekSeconds,
+      untilKeyUp: result.peekMode !== 'timed'
+    }, () => {
+      void chrome.runtime.lastError;
     });
   });
 }
 
+// Tell content scripts running in frames which tab URL they belong to,
+// so they resolve the same site rules as the page that embeds them.
+// Content scripts also report their statistics, which the popup asks
+// for with get-tab-stats, and false positives reported from the
+// diagnostics overlay, which become "never mask" patterns of the tab's
+// site rule.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message && message.type === 'get-tab-url') {
+    sendResponse({ url: sender.tab ? sender.tab.url : null });
+  } else if (message && message.type === 'page-stats' && sender.tab) {
+    withTabStats(stats => {
+      stats[sender.tab.id] = stats[sender.tab.id] || {};
+      stats[sender.tab.id][sender.frameId || 0] = message.stats;
+      chrome.storage.session.set({ tabStats: stats });
+      updateTabIcon(sender.tab);
+    });
+  } else if (message && message.type === 'get-tab-stats') {
+    withTabStats(stats => sendResponse(totalStats(stats[message.tabId])));
+    return true;
+  } else if (message && message.type === 'allow-pattern' && sender.tab && sender.tab.url) {
+    const pattern = String(message.pattern || '').trim();
+    if (!pattern) return;
+    // Only the reported text itself, not every number containing it
+    updateSiteRule(sender.tab.url, siteConfig => {
+      addToRuleList(siteConfig, 'allowPatterns', { pattern, regex: false, whole: true });
+    });
+  }
+});
+
 // Handle keyboard shortcuts
 chrome.commands.onCommand.addListener((command) => {
   if (command === 'toggle-masking') {
-    // Toggle masking for the current active tab's domain
+    // Toggle masking for the current active tab's site
     chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
       const tab = tabs[0];
       if (!tab || !tab.url) return;
       try {
-        const url = new URL(tab.url);
-        toggleSiteMasking(url.hostname);
+        new URL(tab.url);
       } catch (e) {
         // Invalid URL
+        return;
       }
+      toggleSiteMasking(tab.url);
+    });
+  } else if (command === 'peek-numbers') {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      peekTab(tabs[0]);
     });
   } else if (command === 'toggle-global') {
     toggleGlobalEnabled();
+  } else if (command === 'toggle-diagnostics') {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      if (!tabs[0] || !tabs[0].id) return;
+      chrome.tabs.sendMessage(tabs[0].id, { type: 'toggle-diagnostics' }, () => {
+        void chrome.runtime.lastError;
+      });
+    });
   }
 });
\ No newline at end of file
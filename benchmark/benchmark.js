@@ -0,0 +1,221 @@
+/*
+ * Benchmark page for See No Numbers.
+ *
+ * All content is generated from a seeded random number generator, so
+ * every run on every version of the extension sees the same text and the
+ * same sequence of updates. See the Benchmark section of README.md.
+ */
+
+(() => {
+  // Seed for every run. Change it only together with the numbers you
+  // compare against.
+  const SEED = 20251215;
+
+  // A frame that takes longer than this, in milliseconds, is counted as
+  // dropped.
+  const FRAME_BUDGET = 1000 / 60 + 1;
+
+  const WORDS = ['Revenue', 'Visitors', 'Orders', 'Followers', 'Downloads', 'Refunds', 'Signups', 'Sessions'];
+  const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  const results = document.getElementById('results');
+  const body = document.querySelector('#feed tbody');
+
+  /**
+   * Create a seeded random number generator (mulberry32).
+   * @param {number} seed
+   * @returns {function(): number} Returns numbers in [0, 1)
+   */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Make one piece of cell text: a price, a percentage, a count, a date,
+   * a spelled‑out number or a label without any number, in the mix a
+   * typical dashboard has.
+   * @param {function(): number} random
+   * @returns {string}
+   */
+  function cellText(random) {
+    const pick = list => list[Math.floor(random() * list.length)];
+    const amount = Math.floor(random() * 1000000);
+    switch (Math.floor(random() * 7)) {
+      case 0:
+        return `$${amount.toLocaleString('en-US')}.${String(amount % 100).padStart(2, '0')}`;
+      case 1:
+        return `${(random() * 200 - 100).toFixed(1)}%`;
+      case 2:
+        return `${amount.toLocaleString('en-US')} ${pick(WORDS).toLowerCase()}`;
+      case 3:
+        return `${pick(MONTHS)} ${1 + Math.floor(random() * 28)}, 2025`;
+      case 4:
+        return `${pick(['two', 'three', 'twelve', 'forty'])} ${pick(['hundred', 'thousand', 'million'])}`;
+      case 5:
+        return `${(amount / 1000).toFixed(1)}K views`;
+      default:
+        return pick(WORDS);
+    }
+  }
+
+  /**
+   * Build a table row of four cells.
+   * @param {function(): number} random
+   * @returns {HTMLTableRowElement}
+   */
+  function createRow(random) {
+    const row = document.createElement('tr');
+    for (let i = 0; i < 4; i++) {
+      const cell = document.createElement('td');
+      cell.textContent = cellText(random);
+      row.appendChild(cell);
+    }
+    return row;
+  }
+
+  /**
+   * Read a positive integer from a number input.
+   * @param {string} id
+   */
+  function readInput(id) {
+    return Math.max(0, parseInt(document.getElementById(id).value, 10) || 0);
+  }
+
+  /**
+   * Get the value at a percentile of a sorted list.
+   * @param {Array<number>} sorted
+   * @param {number} percentile Between 0 and 100
+   */
+  function percentile(sorted, percentile) {
+    if (!sorted.length) return 0;
+    const index = Math.min(sorted.length - 1, Math.floor(sorted.length * percentile / 100));
+    return sorted[index];
+  }
+
+  /**
+   * Show a run's results, one "name: value" line per entry.
+   * @param {string} title
+   * @param {Object} values
+   */
+  function report(title, values) {
+    const lines = Object.keys(values).map(name => `  ${name}: ${values[name]}`);
+    results.textContent = `${title}\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Run the page benchmark: rewrite cells and add rows every frame for
+   * the chosen number of seconds while recording frame times and long
+   * tasks.
+   */
+  function runPage() {
+    const random = createRandom(SEED);
+    const rows = readInput('rows');
+    const changes = readInput('changes');
+    const additions = readInput('additions');
+    const duration = readInput('seconds') * 1000;
+
+    body.textContent = '';
+    for (let i = 0; i < rows; i++) {
+      body.appendChild(createRow(random));
+    }
+    const cells = Array.from(body.querySelectorAll('td'));
+
+    const longTasks = [];
+    let taskObserver = null;
+    if (PerformanceObserver.supportedEntryTypes.includes('longtask')) {
+      taskObserver = new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => longTasks.push(entry.duration));
+      });
+      taskObserver.observe({ type: 'longtask' });
+    }
+
+    results.textContent = 'Running…';
+    const frames = [];
+    let start = null;
+    let previous = null;
+    const step = time => {
+      if (start === null) start = time;
+      if (previous !== null) frames.push(time - previous);
+      previous = time;
+      if (time - start >= duration) {
+        finish();
+        return;
+      }
+      // Rewrite the text node in place, as frameworks do when only
+      // the text changes
+      for (let i = 0; i < changes; i++) {
+        const cell = cells[Math.floor(random() * cells.length)];
+        cell.firstChild.nodeValue = cellText(random);
+      }
+      for (let i = 0; i < additions; i++) {
+        const row = createRow(random);
+        const removed = body.lastChild;
+        body.insertBefore(row, body.firstChild);
+        removed.remove();
+        Array.from(removed.children).forEach(cell => cells.splice(cells.indexOf(cell), 1));
+        cells.push(...row.children);
+      }
+      requestAnimationFrame(step);
+    };
+    const finish = () => {
+      if (taskObserver) taskObserver.disconnect();
+      const sorted = frames.slice().sort((a, b) => a - b);
+      const total = frames.reduce((sum, frame) => sum + frame, 0);
+      report('Page benchmark', {
+        frames: frames.length,
+        'mean frame (ms)': (total / (frames.length || 1)).toFixed(2),
+        'p95 frame (ms)': percentile(sorted, 95).toFixed(2),
+        'max frame (ms)': percentile(sorted, 100).toFixed(2),
+        'dropped frames': frames.filter(frame => frame > FRAME_BUDGET).length,
+        'long tasks': taskObserver
+          ? `${longTasks.length}, ${longTasks.reduce((sum, task) => sum + task, 0).toFixed(0)} ms in total`
+          : 'not supported'
+      });
+    };
+    requestAnimationFrame(step);
+  }
+
+  /**
+   * Run the transform benchmark: time findMasks over generated strings
+   * with the default settings. About a third of the strings are
+   * whitespace, as between the elements of a real page.
+   */
+  function runTransform() {
+    if (!self.SeeNoNumbers || !self.SeeNoNumbersConfig) {
+      results.textContent = 'transform.js and config.js could not be loaded.';
+      return;
+    }
+    const random = createRandom(SEED);
+    const config = Object.assign({}, SeeNoNumbersConfig.DEFAULT_SITE_CONFIG);
+    const strings = [];
+    const count = readInput('strings');
+    for (let i = 0; i < count; i++) {
+      strings.push(random() < 0.35 ? '\n    ' : cellText(random));
+    }
+    // Warm up the compiled rules and the JIT
+    strings.slice(0, 200).forEach(text => SeeNoNumbers.findMasks(text, config));
+
+    const startTime = performance.now();
+    let masks = 0;
+    strings.forEach(text => {
+      masks += SeeNoNumbers.findMasks(text, config).length;
+    });
+    const elapsed = performance.now() - startTime;
+    report('Transform benchmark', {
+      strings: strings.length,
+      masks,
+      'total (ms)': elapsed.toFixed(1),
+      'per string (µs)': (elapsed * 1000 / (strings.length || 1)).toFixed(2)
+    });
+  }
+
+  document.getElementById('runPage').addEventListener('click', runPage);
+  document.getElementById('runTransform').addEventListener('click', runTransform);
+})();
@@ -0,0 +1,391 @@
+/*
+ * Site rule resolution for See No Numbers.
+ *
+ * Settings are stored in chrome.storage.local under siteConfigs, an
+ * object whose keys are site rules and whose values are the settings
+ * for matching pages. A rule key can be:
+ *   - an exact host: "www.example.com"
+ *   - a wildcard host: "*.example.com", which matches example.com and
+ *     every subdomain of it
+ *   - either of the above followed by a path prefix:
+ *     "example.com/dashboard" matches /dashboard and anything below it,
+ *     but not /dashboards
+ *
+ * When several rules match a page their settings are layered from the
+ * least to the most specific, so the most specific rule wins for each
+ * setting while pattern lists from all of them are combined. A rule is
+ * more specific than another if it has a longer path prefix; for equal
+ * paths an exact host beats a wildcard, and a wildcard with more labels
+ * beats one with fewer.
+ *
+ * A rule stores only the settings it changes, so that every other
+ * setting comes from the less specific rules covering it. New rules
+ * start from the user's defaults, stored under siteDefaults as the
+ * settings that differ from DEFAULT_SITE_CONFIG. They are copied into
+ * a rule when it is created, so changing them later leaves existing
+ * rules as they are.
+ *
+ * This script is shared by background.js (via importScripts), the
+ * content script and the popup, and exposes everything on a single
+ * SeeNoNumbersConfig global.
+ */
+
+(root => {
+  // Settings for a page that no rule matches. When no site‑specific
+  // configuration exists, the extension is disabled by default. Users
+  // can enable it per‑site via the popup.
+  const DEFAULT_SITE_CONFIG = {
+    enabled: false,
+    hideMagnitude: false,
+    // How masked numbers look: 'glyph' replaces them with maskGlyph,
+    // while 'blur', 'bar' (a solid redaction bar) and 'placeholder' (a
+    // block of the same width for every number) style the original text
+    // and leave the page layout as it was.
+    maskStyle: 'glyph',
+    maskGlyph: '•',
+    // Show numbers by their rough size instead of masking them: 'off',
+    // 'plus' ("10K+"), 'under' ("under 100"), 'approx' ("~1M") or 'bar'
+    // (one block per digit).
+    approximate: 'off',
+    // Hours during which the site is masked, as described in
+    // schedule.js, or null to mask it at all times while enabled.
+    schedule: null,
+    // How a single masked number can be revealed: 'off', 'click' or
+    // 'hover'. Clicked numbers are masked again after revealTimeout
+    // seconds; 0 keeps them revealed.
+    revealOn: 'off',
+    revealTimeout: 0,
+    // Attributes whose numbers are masked, such as tooltips and
+    // accessible labels. Attributes that change what a page does rather
+    // than what it shows (value, href, src, ...) are never masked.
+    maskAttributes: ['title', 'alt', 'aria-label', 'placeholder'],
+    // Whether to mask the tab title, e.g. "(12) Inbox".
+    maskTitle: true,
+    // Whether to hide numbers in form fields. Only their appearance
+    // changes; the values a form submits are never modified. A field
+    // cannot be masked in part, so this hides number and phone fields
+    // and fields whose value is mostly a number ("$1,200"); with
+    // maskTextFields, which works on its own too, every text field
+    // containing a number is hidden whole, such as an address like
+    // "jane99@example.com".
+    maskFormValues: true,
+    maskTextFields: false,
+    // Text inside editable regions (contenteditable elements and pages
+    // in design mode) is never changed, since the editor would save the
+    // masks in place of the real numbers. With maskEditable its numbers
+    // are covered by a highlight drawn over the text instead.
+    maskEditable: false,
+    // Whether numbers drawn by CSS are masked too: generated content
+    // such as counter() in ::before and ::after, and the numbering of
+    // lists. This reads the computed style of every element, so it is
+    // off by default. Magnitude visuals do not depend on it: with
+    // hideMagnitude, <progress> and <meter> elements and elements
+    // matching magnitudeSelectors, such as the fill of a rating or the
+    // bars of a chart, are always hidden.
+    maskGenerated: false,
+    // What copying masked text puts on the clipboard: the 'original'
+    // numbers or the 'masked' text as shown.
+    copyText: 'original',
+    // Whether frames embedded in a page follow its settings. Frames are
+    // always matched against the URL of the page, not their own.
+    maskFrames: true,
+    // Whether canvas text drawn by the page's workers is masked. Workers
+    // are then started through a bootstrap script, which some pages do
+    // not tolerate, so this is off by default.
+    maskWorkers: false,
+    // User patterns that are always or never masked on the site. The
+    // global patterns from storage are added to these.
+    maskPatterns: [],
+    allowPatterns: [],
+    // Kinds of number that are masked, as classified by the shared
+    // transform. Matches of mask patterns are masked regardless.
+    maskCategories: ['currency', 'percentage', 'rating', 'relativeTime', 'social', 'measurement', 'plain'],
+    // Date and time rules whose numbers stay visible, by id from the
+    // shared transform's PRESERVATION_RULES.
+    preserveRules: ['monthDate', 'numericDate', 'isoTimestamp', 'time', 'year', 'week', 'quarter', 'day'],
+    // Locale pack for number words and suffixes such as "Mio." or
+    // "lakh", or 'auto' to follow the page's lang attribute. English is
+    // always detected as well.
+    locale: 'auto',
+    // CSS selectors scoping where masking happens. When includeSelectors
+    // is not empty only text inside a matching element is masked; text
+    // inside an element matching excludeSelectors never is. Text inside
+    // an element matching maskSelectors always is, even while masking
+    // is off for the rest of the site.
+    includeSelectors: [],
+    excludeSelectors: [],
+    maskSelectors: [],
+    magnitudeSelectors: []
+  };
+
+  // Allowed values of the site settings that take one of a few
+  // strings. The locales are the keys of the shared transform's
+  // LOCALE_PACKS, which this script cannot read.
+  const SETTING_CHOICES = {
+    maskStyle: ['glyph', 'blur', 'bar', 'placeholder'],
+    approximate: ['off', 'plus', 'under', 'approx', 'bar'],
+    revealOn: ['off', 'click', 'hover'],
+    copyText: ['original', 'masked'],
+    locale: ['auto', 'en', 'de', 'fr', 'es', 'in', 'ja', 'zh']
+  };
+
+  // Settings whose values from every matching rule are concatenated
+  // rather than overridden.
+  const LIST_SETTINGS = ['maskPatterns', 'allowPatterns', 'includeSelectors', 'excludeSelectors', 'maskSelectors',
+    'magnitudeSelectors'];
+
+  // Public suffixes made of two labels. Without the full Public Suffix
+  // List this covers the common cases, so that the registrable domain
+  // of "shop.example.co.uk" is "example.co.uk" rather than "co.uk".
+  const MULTI_PART_SUFFIXES = new Set([
+    'co.uk', 'org.uk', 'ac.uk', 'gov.uk', 'me.uk', 'ltd.uk', 'plc.uk',
+    'com.au', 'net.au', 'org.au', 'edu.au', 'gov.au',
+    'co.nz', 'org.nz', 'co.jp', 'ne.jp', 'or.jp', 'ac.jp', 'co.kr',
+    'com.br', 'com.cn', 'com.hk', 'com.mx', 'com.sg', 'com.tr', 'com.tw',
+    'co.in', 'co.za', 'co.il', 'com.ar', 'github.io', 'herokuapp.com'
+  ]);
+
+  /**
+   * Split a rule key into its parts.
+   * @param {string} key
+   * @returns {{host:string, wildcard:boolean, path:string}}
+   */
+  function parseRuleKey(key) {
+    const slash = key.indexOf('/');
+    const hostPart = slash === -1 ? key : key.slice(0, slash);
+    const path = slash === -1 ? '' : key.slice(slash).replace(/\/+$/, '');
+    const wildcard = hostPart.startsWith('*.');
+    return {
+      host: (wildcard ? hostPart.slice(2) : hostPart).toLowerCase(),
+      wildcard,
+      path
+    };
+  }
+
+  /**
+   * Parse a URL string or object, returning null when it is invalid.
+   * @param {string|URL|Location} url
+   * @returns {?URL}
+   */
+  function toURL(url) {
+    try {
+      return new URL(String(url && url.href ? url.href : url));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Check whether a rule key applies to a URL.
+   * @param {string} key
+   * @param {string|URL|Location} url
+   */
+  function ruleMatches(key, url) {
+    const parsed = toURL(url);
+    if (!parsed) return false;
+    const rule = parseRuleKey(key);
+    const hostname = parsed.hostname.toLowerCase();
+    const hostMatches = rule.wildcard
+      ? hostname === rule.host || hostname.endsWith('.' + rule.host)
+      : hostname === rule.host;
+    if (!hostMatches) return false;
+    if (!rule.path) return true;
+    return parsed.pathname === rule.path || parsed.pathname.startsWith(rule.path + '/');
+  }
+
+  /**
+   * Check whether a rule key applies to every page another one applies
+   * to, as "*.example.com" does to "www.example.com/app". A wildcard is
+   * only covered by a rule that also matches its subdomains.
+   * @param {string} outer
+   * @param {string} inner
+   */
+  function ruleCovers(outer, inner) {
+    const rule = parseRuleKey(inner);
+    const path = rule.path || '/';
+    return ruleMatches(outer, `https://${rule.host}${path}`) &&
+      (!rule.wildcard || ruleMatches(outer, `https://subdomain.${rule.host}${path}`));
+  }
+
+  /**
+   * Compare two rule keys by specificity, least specific first.
+   * @param {string} a
+   * @param {string} b
+   */
+  function compareSpecificity(a, b) {
+    const ra = parseRuleKey(a);
+    const rb = parseRuleKey(b);
+    if (ra.path.length !== rb.path.length) {
+      return ra.path.length - rb.path.length;
+    }
+    if (ra.wildcard !== rb.wildcard) {
+      return ra.wildcard ? -1 : 1;
+    }
+    return ra.host.split('.').length - rb.host.split('.').length;
+  }
+
+  /**
+   * List the rule keys in siteConfigs that apply to a URL, least
+   * specific first.
+   * @param {Object} siteConfigs
+   * @param {string|URL|Location} url
+   * @returns {Array<string>}
+   */
+  function matchingRules(siteConfigs, url) {
+    return Object.keys(siteConfigs || {})
+      .filter(key => ruleMatches(key, url))
+      .sort(compareSpecificity);
+  }
+
+  /**
+   * Resolve the effective settings for a URL by layering every matching
+   * rule over the defaults.
+   * @param {Object} siteConfigs
+   * @param {string|URL|Location} url
+   * @returns {Object} The settings, with ruleKey set to the most
+   *   specific matching rule (or null when none matched)
+   */
+  function resolveSiteConfig(siteConfigs, url) {
+    const keys = matchingRules(siteConfigs, url);
+    const config = Object.assign({}, DEFAULT_SITE_CONFIG);
+    LIST_SETTINGS.forEach(name => {
+      config[name] = [];
+    });
+    keys.forEach(key => {
+      const layer = siteConfigs[key] || {};
+      Object.keys(layer).forEach(name => {
+        if (LIST_SETTINGS.includes(name)) {
+          config[name] = config[name].concat(layer[name] || []);
+        } else {
+          config[name] = layer[name];
+        }
+      });
+    });
+    config.ruleKey = keys.length ? keys[keys.length - 1] : null;
+    return config;
+  }
+
+  /**
+   * Turn what a user typed as a site, such as "https://Example.com/app/"
+   * or "*.example.com", into a rule key. Schemes, ports, queries and
+   * trailing slashes are dropped and the host is lowercased.
+   * @param {string} input
+   * @returns {?string} null if no valid host could be found
+   */
+  function normalizeRuleKey(input) {
+    const text = String(input || '').trim()
+      .replace(/^[a-z][a-z\d+.-]*:\/\//i, '')
+      .replace(/[?#].*$/, '');
+    const rule = parseRuleKey(text);
+    const parsed = rule.host && toURL(`http://${rule.host}`);
+    if (!parsed || !/^[a-z0-9.-]+$/.test(parsed.hostname)) return null;
+    return `${rule.wildcard ? '*.' : ''}${parsed.hostname}${rule.path}`;
+  }
+
+  /**
+   * Create the settings for a new rule from the user's defaults. Only
+   * the defaults that differ from DEFAULT_SITE_CONFIG are set, so the
+   * rule inherits every other setting from the rules covering it.
+   * @param {Object} [siteDefaults] Settings stored under siteDefaults
+   * @returns {Object}
+   */
+  function createSiteConfig(siteDefaults) {
+    const config = {};
+    Object.keys(siteDefaults || {}).forEach(name => {
+      if (JSON.stringify(siteDefaults[name]) !== JSON.stringify(DEFAULT_SITE_CONFIG[name])) {
+        config[name] = siteDefaults[name];
+      }
+    });
+    return config;
+  }
+
+  /**
+   * Resolve the settings a rule inherits: those of every other rule
+   * covering all of it, layered over the defaults.
+   * @param {Object} siteConfigs
+   * @param {string} key
+   * @returns {Object}
+   */
+  function inheritedSiteConfig(siteConfigs, key) {
+    const parents = {};
+    Object.keys(siteConfigs || {}).forEach(other => {
+      if (other !== key && ruleCovers(other, key)) parents[other] = siteConfigs[other];
+    });
+    const rule = parseRuleKey(key);
+    return resolveSiteConfig(parents, `https://${rule.host}${rule.path || '/'}`);
+  }
+
+  /**
+   * Convert a rule key into an extension match pattern covering at least
+   * the pages it applies to. A path rule's pattern also matches longer
+   * paths ("/dashboards" for "/dashboard"), so callers must still check
+   * ruleMatches.
+   * @param {string} key
+   * @returns {?string} null if the key cannot be expressed as a pattern
+   */
+  function ruleMatchPattern(key) {
+    const rule = parseRuleKey(key);
+    if (!/^[a-z0-9.-]+$/.test(rule.host) || /[*?#]/.test(rule.path)) {
+      return null;
+    }
+    const host = rule.wildcard ? `*.${rule.host}` : rule.host;
+    return `*://${host}${rule.path ? `${rule.path}*` : '/*'}`;
+  }
+
+  /**
+   * Get the registrable domain of a hostname ("example.co.uk" for
+   * "shop.example.co.uk"). IP addresses and single‑label hosts are
+   * returned unchanged.
+   * @param {string} hostname
+   * @returns {string}
+   */
+  function registrableDomain(hostname) {
+    const host = String(hostname || '').toLowerCase();
+    if (/^[\d.]+$/.test(host) || host.includes(':')) return host;
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+    const lastTwo = labels.slice(-2).join('.');
+    const count = MULTI_PART_SUFFIXES.has(lastTwo) ? 3 : 2;
+    return labels.slice(-count).join('.');
+  }
+
+  /**
+   * Suggest rule keys a user may want for a URL, from the narrowest
+   * host to the broadest: the exact host, the whole registrable domain
+   * and the host limited to the first path segment.
+   * @param {string|URL|Location} url
+   * @returns {Array<{key:string, label:string}>}
+   */
+  function suggestRuleKeys(url) {
+    const parsed = toURL(url);
+    if (!parsed || !parsed.hostname) return [];
+    const host = parsed.hostname.toLowerCase();
+    const suggestions = [{ key: host, label: host }];
+    const domain = registrableDomain(host);
+    if (domain.includes('.') && !/^[\d.]+$/.test(domain)) {
+      suggestions.push({ key: `*.${domain}`, label: `All of ${domain}` });
+    }
+    const segment = parsed.pathname.split('/')[1];
+    if (segment) {
+      const key = `${host}/${segment}`;
+      suggestions.push({ key, label: `${key} only` });
+    }
+    return suggestions;
+  }
+
+  root.SeeNoNumbersConfig = {
+    DEFAULT_SITE_CONFIG,
+    LIST_SETTINGS,
+    SETTING_CHOICES,
+    createSiteConfig,
+    inheritedSiteConfig,
+    matchingRules,
+    normalizeRuleKey,
+    registrableDomain,
+    resolveSiteConfig,
+    ruleCovers,
+    ruleMatchPattern,
+    ruleMatches,
+    suggestRuleKeys
+  };
+})(globalThis);
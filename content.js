@@ -1,269 +1,2010 @@
 /*
- * Content script for the "Replace Numbers with X" extension.
+ * Content script for See No Numbers.
  *
  * This script performs two main tasks:
- *   1. It scans the DOM for text nodes and replaces any numeric digits
- *      or spelled‑out number words with a sequence of 'x' characters of
- *      equivalent length. It runs on initial page load and uses a
- *      MutationObserver to handle dynamically added content. Certain
- *      elements such as <script>, <style>, <textarea>, <code> and
- *      <pre> are skipped so that executable scripts and code samples
- *      remain unaffected.
- *   2. It injects another script (injection.js) into the page's
- *      document context. That injected script overrides
+ *   1. It scans the DOM for text nodes and masks any numeric digits or
+ *      spelled‑out number words: it replaces them with the site's mask
+ *      character or text (one per digit, three with hide magnitude), or
+ *      with their rough size, or, with the blur, bar and placeholder
+ *      mask styles, wraps them in styled spans. Tooltips and other
+ *      configured attributes, the tab title and form fields are masked
+ *      too, the latter only visually so that forms still submit their
+ *      real values. It starts at document_start and uses a
+ *      MutationObserver to handle content as the parser and the page
+ *      add it; on enabled sites early.js keeps the page hidden until
+ *      then. Certain elements such as <script>, <style>, <textarea>,
+ *      <code> and <pre> are skipped so that executable scripts and code
+ *      samples remain unaffected, and the text of editable regions is
+ *      never changed. Which substrings are masked is decided by
+ *      transform.js, which is loaded before this script.
+ *   2. It injects another script (injection.js), together with
+ *      transform.js, into the page's document context, once, and sends
+ *      it the current configuration through DOM events whenever it
+ *      changes. That injected script overrides
  *      CanvasRenderingContext2D methods (fillText, strokeText and
- *      measureText) so that any text drawn into a canvas has its
- *      numbers transformed to 'x' characters before rendering.
+ *      measureText) so that numbers in any text drawn into a canvas
+ *      are masked the same way, or covered with a bar for the span
+ *      styles, before rendering.
+ *
+ * It also counts what it masked and kept visible, by category, and
+ * reports the counts to background.js for the badge and the popup, and
+ * on request explains every decision in the diagnostics overlay of
+ * diagnostics.js.
  */
 
-(() => {
-  // Default configuration. These values will be overridden by
-  // persisted user settings when available.
-  const defaultConfig = {
-    // When no site‑specific configuration exists, the extension is
-    // disabled by default. Users can enable it per‑site via the popup.
-    enabled: false,
-    hideMagnitude: false
-  };
+(() => {
+  // Number detection shared with the canvas override (see transform.js).
+  const { CATEGORIES, PRESERVATION_RULES, findMasks, localeForLanguage, maskMatch, renderMasks } = SeeNoNumbers;
+  // Site rule resolution shared with the popup and background (see config.js).
+  const { createSiteConfig, resolveSiteConfig } = SeeNoNumbersConfig;
+  const { maskingActive } = SeeNoNumbersSchedule;
+
+  /**
+   * Join a list of CSS selectors into one, dropping any that the
+   * browser cannot parse so that a single typo does not disable the
+   * whole list.
+   * @param {Array<string>} selectors
+   * @returns {string} An empty string if no selector is valid
+   */
+  function joinSelectors(selectors) {
+    return (selectors || []).filter(selector => {
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+      } catch (e) {
+        return false;
+      }
+    }).join(', ');
+  }
+
+  // Joined include, exclude, always-mask and magnitude selectors, cached
+  // per configuration object so they are validated once rather than for
+  // every text node.
+  const scopeSelectors = new WeakMap();
+
+  /**
+   * Get the joined include, exclude, always-mask and magnitude
+   * selectors of a configuration.
+   * @param {Object} config
+   * @returns {{include:string, exclude:string, always:string, magnitude:string}}
+   */
+  function getScope(config) {
+    let scope = scopeSelectors.get(config);
+    if (!scope) {
+      scope = {
+        include: joinSelectors(config.includeSelectors),
+        exclude: joinSelectors(config.excludeSelectors),
+        always: joinSelectors(config.maskSelectors),
+        magnitude: joinSelectors(config.magnitudeSelectors)
+      };
+      scopeSelectors.set(config, scope);
+    }
+    return scope;
+  }
+
+  /**
+   * Get the parent of a node, stepping from a shadow root to its host so
+   * that ancestors outside the shadow tree are found too.
+   * @param {Node} node
+   * @returns {?Node}
+   */
+  function composedParent(node) {
+    if (node.parentNode && node.parentNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      return node.parentNode.host || null;
+    }
+    return node.parentNode;
+  }
+
+  // Elements whose text is never masked, so that executable scripts and
+  // code samples remain unaffected.
+  const SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'TEXTAREA', 'CODE', 'PRE'];
+
+  // Why skipReason leaves text alone, for the diagnostics overlay.
+  const SKIP_REASONS = {
+    editable: 'Inside an editable region, whose text is never changed',
+    title: 'The tab title is not masked on this site',
+    forcedOnly: 'Masking is off on this site except in "always mask" areas',
+    outside: 'Outside the "mask only inside" areas of this site',
+    excluded: 'Inside a "never mask inside" area of this site'
+  };
+
+  // What shouldSkip has worked out about each element, so that
+  // ancestors are looked at once per batch rather than once per text
+  // node. It is cleared before every batch, since classes and the tree
+  // itself may have changed in between.
+  let skipCache = new WeakMap();
+
+  /**
+   * Forget the decisions cached by elementState.
+   */
+  function resetSkipCache() {
+    skipCache = new WeakMap();
+  }
+
+  /**
+   * Work out, from an element and its ancestors across shadow root
+   * boundaries, whether it is inside a skipped element, inside one of
+   * the site's include selectors, inside one of its exclude selectors,
+   * inside one of its always-mask selectors and inside an editable
+   * region. A contenteditable="false" island within an editor still
+   * counts as editable, since the editor saves it too. skip is the tag
+   * name of the skipped element, or an empty string.
+   * @param {Element} element
+   * @param {Object} config
+   * @returns {{skip:string, included:boolean, excluded:boolean, forced:boolean, editable:boolean}}
+   */
+  function elementState(element, config) {
+    let state = skipCache.get(element);
+    if (state) return state;
+    const parent = composedParent(element);
+    const parentState = parent && parent.nodeType === Node.ELEMENT_NODE
+      ? elementState(parent, config)
+      : { skip: '', included: false, excluded: false, forced: false, editable: false };
+    const scope = getScope(config);
+    state = {
+      skip: parentState.skip ||
+        (SKIPPED_TAGS.includes(element.nodeName.toUpperCase()) ? element.nodeName.toLowerCase() : ''),
+      included: parentState.included || !scope.include || element.matches(scope.include),
+      excluded: parentState.excluded || Boolean(scope.exclude && element.matches(scope.exclude)),
+      forced: parentState.forced || Boolean(scope.always && element.matches(scope.always)),
+      editable: parentState.editable || element.isContentEditable === true
+    };
+    skipCache.set(element, state);
+    return state;
+  }
+
+  /**
+   * Check whether a node is inside an editable region: a contenteditable
+   * element, or anywhere in a document in design mode.
+   * @param {Node} node
+   * @param {Object} config
+   */
+  function inEditable(node, config) {
+    if (document.designMode === 'on') return true;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : composedParent(node);
+    return Boolean(element && element.nodeType === Node.ELEMENT_NODE && elementState(element, config).editable);
+  }
+
+  /**
+   * Work out why a text node, or an element's attributes, should be
+   * skipped: inside a skipped element (e.g., script, style, textarea,
+   * code or pre elements), outside the site's include selectors or
+   * inside one of its exclude selectors. Inside an always-mask selector
+   * neither applies, and with config.forcedOnly nothing else is masked.
+   * Editable regions are skipped too unless allowEditable is set; their
+   * text is at most covered by a highlight (see highlightTextNode).
+   * Ancestors are looked up across shadow root boundaries. The text of
+   * the page's <title> follows maskTitle alone.
+   * @param {Node} node
+   * @param {Object} config
+   * @param {boolean} [allowEditable]
+   * @returns {?string} A description of the reason, or null if the node
+   *   is not skipped
+   */
+  function skipReason(node, config, allowEditable) {
+    if (!allowEditable && inEditable(node, config)) return SKIP_REASONS.editable;
+    const element = node.nodeType === Node.ELEMENT_NODE ? node : composedParent(node);
+    if (element instanceof HTMLTitleElement) {
+      if (config.forcedOnly) return SKIP_REASONS.forcedOnly;
+      return config.maskTitle ? null : SKIP_REASONS.title;
+    }
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) {
+      if (config.forcedOnly) return SKIP_REASONS.forcedOnly;
+      return getScope(config).include ? SKIP_REASONS.outside : null;
+    }
+    const state = elementState(element, config);
+    if (state.skip) return `Inside a <${state.skip}> element, which is never masked`;
+    if (state.forced) return null;
+    if (config.forcedOnly) return SKIP_REASONS.forcedOnly;
+    if (!state.included) return SKIP_REASONS.outside;
+    return state.excluded ? SKIP_REASONS.excluded : null;
+  }
+
+  /**
+   * Determine whether a text node, or an element's attributes, should be
+   * skipped (see skipReason).
+   * @param {Node} node
+   * @param {Object} config
+   * @param {boolean} [allowEditable]
+   */
+  function shouldSkip(node, config, allowEditable) {
+    return skipReason(node, config, allowEditable) !== null;
+  }
+
+  // State of the page-context canvas override: null until it is
+  // injected, 'pending' until injection.js reports that it is installed,
+  // then 'ready'. It is injected once per document.
+  let canvasState = null;
+
+  // The configuration the canvas override should use, sent as soon as
+  // it is ready.
+  let canvasConfig = null;
+
+  /**
+   * Inject the shared transform and the canvas override into the page.
+   * Both are classic scripts with async turned off, so they run in the
+   * order they were added: injection.js picks the transform up from the
+   * SeeNoNumbers global.
+   */
+  function injectCanvasScript() {
+    if (canvasState || !document.documentElement) return;
+    canvasState = 'pending';
+    ['transform.js', 'injection.js'].forEach(file => {
+      const script = document.createElement('script');
+      script.src = chrome.runtime.getURL(file);
+      script.async = false;
+      script.onload = () => {
+        script.remove();
+      };
+      document.documentElement.appendChild(script);
+    });
+  }
+
+  // The settings injection.js and transform.js use. The event below can
+  // be read by any script on the page, so nothing else is sent.
+  const CANVAS_SETTINGS = ['enabled', 'hideMagnitude', 'maskStyle', 'maskGlyph', 'approximate', 'maskCategories',
+    'preserveRules', 'locale', 'maskPatterns', 'allowPatterns', 'maskWorkers'];
+
+  /**
+   * Send a configuration to the canvas override in the page.
+   * @param {Object} config
+   */
+  function postCanvasConfig(config) {
+    const detail = { scriptBase: chrome.runtime.getURL('') };
+    CANVAS_SETTINGS.forEach(name => {
+      detail[name] = config[name];
+    });
+    document.dispatchEvent(new CustomEvent('see-no-numbers-config', {
+      detail: JSON.stringify(detail)
+    }));
+  }
+
+  /**
+   * Apply a configuration to canvas text. If background.js already had
+   * the override run at document_start it answers a probe at once, as
+   * dispatchEvent is synchronous. Otherwise the override is injected the
+   * first time masking is enabled; after that, configuration changes,
+   * including turning masking off, are sent to it live.
+   * @param {Object} config
+   */
+  function updateCanvas(config) {
+    canvasConfig = config;
+    if (!canvasState) {
+      document.dispatchEvent(new CustomEvent('see-no-numbers-probe'));
+    }
+    if (!canvasState) {
+      if (config.enabled) {
+        injectCanvasScript();
+      }
+    } else if (canvasState === 'ready') {
+      postCanvasConfig(config);
+    }
+  }
+
+  // injection.js reports once its overrides are installed; it can then
+  // be sent the configuration that was waiting.
+  document.addEventListener('see-no-numbers-ready', () => {
+    canvasState = 'ready';
+    if (canvasConfig) {
+      postCanvasConfig(canvasConfig);
+    }
+  });
+
+  // Original text of every node this script has rewritten, keyed by the
+  // text node itself. Each entry also remembers the masked value that was
+  // written so later changes made by the page can be told apart from our
+  // own, the masks found in the original text and which of them the user
+  // has revealed, and the matches findMasks left visible (kept). With a
+  // span style the entry also lists the nodes inserted after the text
+  // node (parts), the mask spans among them and their style. A WeakMap
+  // lets nodes removed from the page be garbage collected.
+  const maskedNodes = new WeakMap();
+
+  // The matches left visible in text nodes without any mask, with the
+  // text they were found in, for countMatches.
+  const keptMatches = new WeakMap();
+
+  // Inline styles of the mask styles that wrap each number in a span
+  // instead of rewriting its text. The span keeps the original text, so
+  // blur and bar leave the layout exactly as it was; placeholder gives
+  // every number the same width.
+  const SPAN_STYLES = {
+    blur: '-webkit-text-fill-color: transparent !important; text-shadow: 0 0 0.45em currentColor !important;',
+    bar: '-webkit-text-fill-color: transparent !important; text-shadow: none !important; ' +
+      'background-color: currentColor !important; border-radius: 2px;',
+    placeholder: 'display: inline-block !important; width: 2.5em !important; overflow: hidden !important; ' +
+      'white-space: nowrap !important; vertical-align: bottom; -webkit-text-fill-color: transparent !important; ' +
+      'text-shadow: none !important; background-color: currentColor !important; opacity: 0.35; border-radius: 2px;'
+  };
+
+  // Nodes this script inserted to wrap masks in spans: the spans, their
+  // text and the text between them. They are never masked themselves.
+  const createdNodes = new WeakSet();
+
+  // The text node and mask index behind each mask span.
+  const maskSpans = new WeakMap();
+
+  // Original values of masked attributes, keyed by element and then by
+  // attribute name, in the same { original, masked } form.
+  const maskedAttributes = new WeakMap();
+
+  // Attributes that change what a page does rather than what it shows.
+  // They are never masked, even if listed in maskAttributes.
+  const UNSAFE_ATTRIBUTES = ['value', 'href', 'src', 'srcset', 'action', 'name', 'id', 'class', 'style', 'for'];
+
+  // Text-like inputs whose value is hidden with -webkit-text-security,
+  // which changes only how the value is drawn, never the value itself.
+  // The value of a numeric input is hidden whenever it has a number;
+  // that of another one only when it is mostly a number, or with
+  // maskTextFields.
+  const TEXT_INPUT_TYPES = ['text', 'search', 'tel', 'number', 'email', 'url'];
+  const NUMERIC_INPUT_TYPES = ['tel', 'number'];
+
+  // Inputs whose value is their visible label.
+  const BUTTON_INPUT_TYPES = ['button', 'submit', 'reset'];
+
+  // Text inputs currently hidden, mapped to the inline
+  // -webkit-text-security value they had before.
+  const maskedInputs = new WeakMap();
+
+  // Name of the CSS custom highlight that covers numbers in editable
+  // regions with maskEditable. A highlight changes how text is painted
+  // without touching the DOM, so an editor never sees it.
+  const EDITABLE_HIGHLIGHT = 'see-no-numbers-editable';
+
+  // Attribute naming the pseudo-elements of an element whose generated
+  // content is replaced, and the custom properties holding their masked
+  // content (see processGenerated).
+  const GENERATED_ATTRIBUTE = 'data-see-no-numbers-generated';
+  const GENERATED_PROPERTIES = { before: '--see-no-numbers-before', after: '--see-no-numbers-after' };
+
+  // Style sheet adopted by every document and shadow root that needs it:
+  // it draws the editable highlight and the masked generated content.
+  const PAGE_STYLE = `::highlight(${EDITABLE_HIGHLIGHT}) { color: transparent; ` +
+    'background-color: #9aa0a6; text-decoration: none; text-shadow: none; }\n' +
+    Object.keys(GENERATED_PROPERTIES).map(pseudo => `[${GENERATED_ATTRIBUTE}~="${pseudo}"]::${pseudo} ` +
+      `{ content: var(${GENERATED_PROPERTIES[pseudo]}) !important; }`).join('\n');
+
+  // The highlight and the page style sheet, created on first use, and
+  // the ranges each highlighted text node added to the highlight.
+  let editableHighlight = null;
+  let pageSheet = null;
+  const highlightRanges = new WeakMap();
+
+  // List styles that show no number; any other style of an <ol> or <ul>
+  // numbers its items.
+  const PLAIN_LIST_STYLES = ['none', 'disc', 'circle', 'square', 'disclosure-open', 'disclosure-closed'];
+
+  // Elements whose value is drawn as a bar, hidden with hideMagnitude.
+  const MAGNITUDE_TAGS = ['PROGRESS', 'METER'];
+
+  // Elements processed since the last processGenerated, whose generated
+  // content, list numbering and magnitude visuals are checked together.
+  let generatedQueue = [];
+
+  // Elements changed by processGenerated, mapped to the inline style
+  // values they had before, by property name.
+  const styledElements = new WeakMap();
+
+  // <option> elements given a value attribute so that masking their text
+  // does not change the value their form submits.
+  const pinnedOptions = new WeakSet();
+
+  // The MutationObserver for the current configuration, if masking is on,
+  // and the options used for every root it observes.
+  let observer = null;
+  let observerOptions = null;
+
+  // The configuration masking is currently applied with, or null.
+  let activeConfig = null;
+
+  // Serialized form of the last configuration loaded by initialize(), so
+  // that repeated config-update messages with nothing new are ignored.
+  let loadedConfig = null;
+
+  // The mask currently revealed by hovering, if any.
+  let hovered = null;
+  let hoverFrame = 0;
+
+  /**
+   * Check whether the masks of a text node are drawn with a span style.
+   * Only HTML elements can hold the spans, and an <option> or <title>
+   * shows only its text, so those fall back to replacement characters.
+   * @param {Node} textNode
+   * @param {Object} config
+   */
+  function usesSpans(textNode, config) {
+    const parent = textNode.parentNode;
+    return Object.prototype.hasOwnProperty.call(SPAN_STYLES, config.maskStyle) &&
+      parent instanceof HTMLElement &&
+      !(parent instanceof HTMLOptionElement) &&
+      !(parent instanceof HTMLTitleElement);
+  }
+
+  /**
+   * Wrap the masks of a text node in styled spans. The node itself keeps
+   * the text before the first mask, so that a page holding on to it can
+   * still update it; everything after is inserted as new siblings.
+   * @param {Node} textNode
+   * @param {string} original
+   * @param {Array<Object>} masks
+   * @param {Object} config
+   * @returns {Object} The entry for maskedNodes
+   */
+  function wrapMasks(textNode, original, masks, config) {
+    const fragment = document.createDocumentFragment();
+    const spans = [];
+    const addText = text => {
+      if (!text) return;
+      const node = document.createTextNode(text);
+      createdNodes.add(node);
+      fragment.appendChild(node);
+    };
+    masks.forEach((mask, index) => {
+      if (index > 0) {
+        addText(original.slice(masks[index - 1].end, mask.start));
+      }
+      const span = document.createElement('span');
+      span.setAttribute('data-see-no-numbers', mask.category);
+      span.style.cssText = SPAN_STYLES[config.maskStyle];
+      addText(original.slice(mask.start, mask.end));
+      span.appendChild(fragment.lastChild);
+      createdNodes.add(span);
+      maskSpans.set(span, { textNode, index });
+      fragment.appendChild(span);
+      spans.push(span);
+    });
+    addText(original.slice(masks[masks.length - 1].end));
+    const parts = Array.from(fragment.childNodes);
+    const masked = original.slice(0, masks[0].start);
+    textNode.nodeValue = masked;
+    textNode.parentNode.insertBefore(fragment, textNode.nextSibling);
+    return { original, masked, masks, revealed: new Set(), parts, spans, style: SPAN_STYLES[config.maskStyle] };
+  }
+
+  /**
+   * Remove the nodes wrapMasks inserted after a text node.
+   * @param {Object} entry
+   */
+  function removeParts(entry) {
+    (entry.parts || []).forEach(part => {
+      if (part.parentNode) part.parentNode.removeChild(part);
+    });
+  }
+
+  /**
+   * Process a text node using the given configuration. The original value
+   * is remembered so it can be restored when masking is turned off.
+   * @param {Node} textNode
+   * @param {Object} config
+   */
+  function processTextNode(textNode, config) {
+    if (textNode.nodeType !== Node.TEXT_NODE || createdNodes.has(textNode)) return;
+    if (shouldSkip(textNode, config, true)) {
+      // It may have been masked before its element left the include
+      // selectors or entered an exclude selector.
+      restoreTextNode(textNode);
+      return;
+    }
+    if (inEditable(textNode, config)) {
+      // Never change an editor's text, which it would save with the
+      // masks in place of the real numbers; at most paint over it.
+      restoreTextNode(textNode);
+      if (config.maskEditable) highlightTextNode(textNode, config);
+      return;
+    }
+    const entry = maskedNodes.get(textNode);
+    if (entry && textNode.nodeValue === entry.masked) {
+      // Already masked; the page has not touched it since.
+      return;
+    }
+    if (entry) {
+      // The page replaced the text, so the spans after it are stale.
+      removeParts(entry);
+    }
+    const original = textNode.nodeValue;
+    const kept = [];
+    const masks = findMasks(original, config, kept);
+    if (masks.length && usesSpans(textNode, config)) {
+      maskedNodes.set(textNode, Object.assign(wrapMasks(textNode, original, masks, config), { kept }));
+    } else if (masks.length) {
+      const masked = renderMasks(original, masks).text;
+      pinOptionValue(textNode.parentNode);
+      maskedNodes.set(textNode, { original, masked, masks, revealed: new Set(), kept });
+      textNode.nodeValue = masked;
+    } else {
+      maskedNodes.delete(textNode);
+    }
+    if (!masks.length && kept.length) {
+      keptMatches.set(textNode, { text: original, kept });
+    } else {
+      keptMatches.delete(textNode);
+    }
+  }
+
+  /**
+   * Make sure the page style sheet applies in a document or shadow root.
+   * The page may replace its adopted style sheets, so this is checked
+   * every time.
+   * @param {Node} root
+   */
+  function adoptPageSheet(root) {
+    if (!pageSheet) {
+      pageSheet = new CSSStyleSheet();
+      pageSheet.replaceSync(PAGE_STYLE);
+    }
+    if (root.adoptedStyleSheets && !root.adoptedStyleSheets.includes(pageSheet)) {
+      root.adoptedStyleSheets = root.adoptedStyleSheets.concat(pageSheet);
+    }
+  }
+
+  /**
+   * Get the highlight for editable regions, creating and registering it
+   * on first use, and make sure the style sheet that draws it applies in
+   * a document or shadow root.
+   * @param {Node} root
+   * @returns {?Highlight} null if the browser lacks custom highlights
+   */
+  function getEditableHighlight(root) {
+    if (typeof Highlight !== 'function' || !CSS.highlights) return null;
+    if (!editableHighlight) {
+      editableHighlight = new Highlight();
+      CSS.highlights.set(EDITABLE_HIGHLIGHT, editableHighlight);
+    }
+    adoptPageSheet(root);
+    return editableHighlight;
+  }
+
+  /**
+   * Cover the numbers of a text node in an editable region with the
+   * editable highlight. Ranges follow edits to the text by themselves;
+   * a changed node is highlighted again from scratch anyway.
+   * @param {Node} textNode
+   * @param {Object} config
+   */
+  function highlightTextNode(textNode, config) {
+    const masks = findMasks(textNode.nodeValue, config);
+    if (!masks.length) return;
+    const highlight = getEditableHighlight(textNode.getRootNode());
+    if (!highlight) return;
+    const ranges = masks.map(mask => {
+      const range = document.createRange();
+      range.setStart(textNode, mask.start);
+      range.setEnd(textNode, mask.end);
+      highlight.add(range);
+      return range;
+    });
+    highlightRanges.set(textNode, ranges);
+  }
+
+  /**
+   * Remove the highlight ranges of a text node, if it has any.
+   * @param {Node} textNode
+   */
+  function clearHighlight(textNode) {
+    const ranges = highlightRanges.get(textNode);
+    if (!ranges) return;
+    ranges.forEach(range => editableHighlight.delete(range));
+    highlightRanges.delete(textNode);
+  }
+
+  /**
+   * An <option> without a value attribute submits its text. Before its
+   * text is masked, copy the current value into the attribute so the
+   * form still submits the real one.
+   * @param {Node} node The parent of a text node about to be masked
+   */
+  function pinOptionValue(node) {
+    if (!(node instanceof HTMLOptionElement) || node.hasAttribute('value')) return;
+    node.setAttribute('value', node.value);
+    pinnedOptions.add(node);
+  }
+
+  /**
+   * Remove a value attribute added by pinOptionValue.
+   * @param {Node} node
+   */
+  function unpinOptionValue(node) {
+    if (!pinnedOptions.has(node)) return;
+    node.removeAttribute('value');
+    pinnedOptions.delete(node);
+  }
+
+  /**
+   * Restore the original value of a text node masked by processTextNode.
+   * Nodes whose text the page has replaced since are left alone.
+   * @param {Node} textNode
+   */
+  function restoreTextNode(textNode) {
+    clearHighlight(textNode);
+    keptMatches.delete(textNode);
+    const entry = maskedNodes.get(textNode);
+    if (!entry) return;
+    removeParts(entry);
+    if (textNode.nodeValue === entry.masked) {
+      textNode.nodeValue = entry.original;
+    }
+    maskedNodes.delete(textNode);
+    unpinOptionValue(textNode.parentNode);
+  }
+
+  /**
+   * Mask numbers in the configured attributes of an element, such as
+   * title tooltips and aria-label.
+   * @param {Element} element
+   * @param {Object} config
+   */
+  function processAttributes(element, config) {
+    const names = (config.maskAttributes || []).filter(name => !UNSAFE_ATTRIBUTES.includes(name));
+    if (!names.length || !element.hasAttributes()) return;
+    if (shouldSkip(element, config)) {
+      restoreAttributes(element);
+      return;
+    }
+    names.forEach(name => maskAttribute(element, name, config));
+  }
+
+  /**
+   * Mask numbers in one attribute of an element, remembering the
+   * original value so it can be restored.
+   * @param {Element} element
+   * @param {string} name
+   * @param {Object} config
+   */
+  function maskAttribute(element, name, config) {
+    const value = element.getAttribute(name);
+    if (value === null) return;
+    let entries = maskedAttributes.get(element);
+    const entry = entries && entries.get(name);
+    if (entry && value === entry.masked) return;
+    const masks = findMasks(value, config);
+    if (masks.length) {
+      const masked = renderMasks(value, masks).text;
+      if (!entries) {
+        entries = new Map();
+        maskedAttributes.set(element, entries);
+      }
+      entries.set(name, { original: value, masked });
+      element.setAttribute(name, masked);
+    } else if (entries) {
+      entries.delete(name);
+    }
+  }
+
+  /**
+   * Restore attributes masked by processAttributes, unless the page has
+   * changed them since.
+   * @param {Element} element
+   */
+  function restoreAttributes(element) {
+    const entries = maskedAttributes.get(element);
+    if (!entries) return;
+    entries.forEach((entry, name) => {
+      if (element.getAttribute(name) === entry.masked) {
+        element.setAttribute(name, entry.original);
+      }
+    });
+    maskedAttributes.delete(element);
+  }
+
+  /**
+   * Hide numbers in a form field without changing the value it submits.
+   * Text inputs showing a number (see TEXT_INPUT_TYPES) are drawn as
+   * discs while they do not have focus; the value itself is never
+   * touched. Buttons without a name, whose value is only a label and
+   * never submitted, have their value masked like text.
+   * @param {Element} element
+   * @param {Object} config
+   */
+  function processFormValue(element, config) {
+    if (!(element instanceof HTMLInputElement)) return;
+    if ((!config.maskFormValues && !config.maskTextFields) || shouldSkip(element, config)) {
+      restoreFormValue(element);
+      return;
+    }
+    const type = element.type;
+    if (TEXT_INPUT_TYPES.includes(type)) {
+      const masks = findMasks(element.value, config);
+      const masked = masks.reduce((sum, mask) => sum + mask.end - mask.start, 0);
+      const hide = masks.length > 0 && !isFocused(element) && (config.maskTextFields || (config.maskFormValues &&
+        (NUMERIC_INPUT_TYPES.includes(type) || masked * 2 >= element.value.replace(/\s/g, '').length)));
+      if (hide && !maskedInputs.has(element)) {
+        maskedInputs.set(element, element.style.getPropertyValue('-webkit-text-security'));
+        element.style.setProperty('-webkit-text-security', 'disc', 'important');
+      } else if (!hide) {
+        restoreFormValue(element);
+      }
+    } else if (BUTTON_INPUT_TYPES.includes(type) && !element.name && config.maskFormValues) {
+      // A button's value property reflects its value attribute
+      maskAttribute(element, 'value', config);
+    }
+  }
+
+  /**
+   * Undo the text-security styling of processFormValue. Masked button
+   * values are restored with the other attributes.
+   * @param {Element} element
+   */
+  function restoreFormValue(element) {
+    if (maskedInputs.has(element)) {
+      const previous = maskedInputs.get(element);
+      if (previous) {
+        element.style.setProperty('-webkit-text-security', previous);
+      } else {
+        element.style.removeProperty('-webkit-text-security');
+      }
+      maskedInputs.delete(element);
+    }
+  }
+
+  /**
+   * Check whether an element has focus, including inside a shadow root.
+   * @param {Element} element
+   */
+  function isFocused(element) {
+    const root = element.getRootNode();
+    return Boolean(root && root.activeElement === element);
+  }
+
+  /**
+   * Process everything about an element that can show a number other
+   * than its text: attributes and form values.
+   * @param {Element} element
+   * @param {Object} config
+   */
+  function processElement(element, config) {
+    processAttributes(element, config);
+    processFormValue(element, config);
+    if (config.maskGenerated || config.hideMagnitude) {
+      generatedQueue.push(element);
+    }
+  }
+
+  /**
+   * Undo processElement for an element.
+   * @param {Element} element
+   */
+  function restoreElement(element) {
+    restoreFormValue(element);
+    restoreAttributes(element);
+    restoreGenerated(element);
+  }
+
+  /**
+   * Quote text as a CSS string.
+   * @param {string} text
+   * @returns {string}
+   */
+  function cssString(text) {
+    return `"${text.replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\a ')}"`;
+  }
+
+  /**
+   * Get what a counter shows once masked. Its value is unknown, so it
+   * always looks like a number with its magnitude hidden.
+   * @param {Object} config
+   * @returns {string}
+   */
+  function maskedCounter(config) {
+    return maskMatch('000', Object.assign({}, config, { approximate: 'off', hideMagnitude: true }));
+  }
+
+  /**
+   * Mask the numbers in the computed content of a pseudo-element:
+   * counters are replaced, and strings and attr() values are masked as
+   * text.
+   * @param {string} content The computed value of the content property
+   * @param {Element} element
+   * @param {Object} config
+   * @returns {?string} The masked content, or null if nothing changed
+   */
+  function maskContent(content, element, config) {
+    if (content === 'none' || content === 'normal') return null;
+    let changed = false;
+    const masked = content.replace(/"((?:[^"\\]|\\.)*)"|counters?\([^)]*\)|attr\(\s*([^\s)]+)\s*\)/g, (token, string, name) => {
+      if (string === undefined && name === undefined) {
+        changed = true;
+        return cssString(maskedCounter(config));
+      }
+      const text = string !== undefined ? string.replace(/\\(.)/g, '$1') : element.getAttribute(name) || '';
+      const masks = findMasks(text, config);
+      if (!masks.length) return token;
+      changed = true;
+      return cssString(renderMasks(text, masks).text);
+    });
+    return changed ? masked : null;
+  }
+
+  /**
+   * Set an inline style property of an element, remembering the value
+   * it had so that restoreGenerated can put it back.
+   * @param {Element} element
+   * @param {string} name
+   * @param {string} value
+   */
+  function setStyle(element, name, value) {
+    let previous = styledElements.get(element);
+    if (!previous) {
+      previous = new Map();
+      styledElements.set(element, previous);
+    }
+    if (!previous.has(name)) {
+      previous.set(name, {
+        value: element.style.getPropertyValue(name),
+        priority: element.style.getPropertyPriority(name)
+      });
+    }
+    element.style.setProperty(name, value, 'important');
+  }
+
+  /**
+   * Undo everything processGenerated changed on an element.
+   * @param {Element} element
+   */
+  function restoreGenerated(element) {
+    const previous = styledElements.get(element);
+    if (!previous) return;
+    previous.forEach((style, name) => {
+      if (style.value) {
+        element.style.setProperty(name, style.value, style.priority);
+      } else {
+        element.style.removeProperty(name);
+      }
+    });
+    element.removeAttribute(GENERATED_ATTRIBUTE);
+    styledElements.delete(element);
+  }
+
+  /**
+   * Work out what processGenerated should change on an element: with
+   * maskGenerated, the masked content of its ::before and ::after and
+   * masked numbering if it is a numbered list; with hideMagnitude,
+   * whether it is a visual that gives away a magnitude. Computed styles
+   * are only read for maskGenerated.
+   * @param {Element} element
+   * @param {Object} config
+   * @returns {?Object} null if nothing needs to change
+   */
+  function generatedChanges(element, config) {
+    if (!(element instanceof HTMLElement) || shouldSkip(element, config)) return null;
+    const changes = {};
+    if (config.maskGenerated) {
+      Object.keys(GENERATED_PROPERTIES).forEach(pseudo => {
+        const content = maskContent(getComputedStyle(element, `::${pseudo}`).content, element, config);
+        if (content !== null) changes[pseudo] = content;
+      });
+    }
+    if (config.maskGenerated && (element.nodeName === 'OL' || element.nodeName === 'UL')) {
+      const listStyle = getComputedStyle(element).listStyleType;
+      if (!PLAIN_LIST_STYLES.includes(listStyle) && !listStyle.startsWith('"')) {
+        changes.list = cssString(`${maskedCounter(config)}. `);
+      }
+    }
+    const scope = getScope(config);
+    if (config.hideMagnitude && (MAGNITUDE_TAGS.includes(element.nodeName) ||
+        (scope.magnitude && element.matches(scope.magnitude)))) {
+      changes.hide = true;
+    }
+    return Object.keys(changes).length ? changes : null;
+  }
+
+  /**
+   * Mask generated content and list numbering, and hide magnitude
+   * visuals, for the elements processed since the last call. Elements
+   * changed before are restored first and every computed style is read
+   * before anything is changed again, so the page's style is worked out
+   * twice per batch rather than once per element.
+   * @param {Object} config
+   */
+  function processGenerated(config) {
+    const elements = generatedQueue.filter(element => element.isConnected);
+    generatedQueue = [];
+    if (!config.maskGenerated && !config.hideMagnitude) return;
+    elements.forEach(restoreGenerated);
+    const changed = elements.map(element => generatedChanges(element, config));
+    elements.forEach((element, i) => {
+      const changes = changed[i];
+      if (!changes) return;
+      const pseudos = Object.keys(GENERATED_PROPERTIES).filter(pseudo => changes[pseudo] !== undefined);
+      if (pseudos.length) {
+        adoptPageSheet(element.getRootNode());
+        pseudos.forEach(pseudo => setStyle(element, GENERATED_PROPERTIES[pseudo], changes[pseudo]));
+        element.setAttribute(GENERATED_ATTRIBUTE, pseudos.join(' '));
+      }
+      if (changes.list) {
+        setStyle(element, 'list-style-type', changes.list);
+      }
+      if (changes.hide) {
+        // The element keeps its space, so the layout does not move
+        setStyle(element, 'visibility', 'hidden');
+      }
+    });
+  }
+
+  /**
+   * Get the shadow root attached to an element, if any. Extensions can
+   * reach closed shadow roots too through chrome.dom. The diagnostics
+   * overlay's own shadow root is never returned, so it is not masked.
+   * @param {Element} element
+   * @returns {?ShadowRoot}
+   */
+  function getShadowRoot(element) {
+    if (SeeNoNumbersDiagnostics.isOverlay(element)) return null;
+    if (chrome.dom && chrome.dom.openOrClosedShadowRoot) {
+      try {
+        return chrome.dom.openOrClosedShadowRoot(element) || null;
+      } catch (e) {
+        // Not an HTML element (e.g. SVG)
+        return null;
+      }
+    }
+    return element.shadowRoot || null;
+  }
 
-  // Number words used for matching spelled‑out numbers.
-  const numberWords = [
-    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
-    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
-    'seventeen', 'eighteen', 'nineteen', 'twenty', 'thirty', 'forty', 'fifty',
-    'sixty', 'seventy', 'eighty', 'ninety', 'hundred', 'thousand', 'million',
-    'billion', 'trillion'
-  ];
-
-  // Precompute regular expressions for numeric patterns, spelled numbers and dates.
-  const numberWithSuffixRegex = /\d+(?:[.,]\d+)*(?:\s*(?:[kKmMbBtT](?:n)?\b))?/g;
-  const wordRegex = new RegExp(`\\b(${numberWords.join('|')})\\b`, 'gi');
-  const datePatterns = [
-    // Month name followed by day and optional year: "Nov 22, 2025", "January 5"
-    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:,\s*\d{2,4})?/gi,
-    // US date format: "11/22", "11/22/2025", "11/22/25"
-    /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
-    // ISO date format: "2025-12-15", "2025-12"
-    /\b(19|20)\d{2}-\d{1,2}(?:-\d{1,2})?\b/g,
-    // European date format: "15.12.2025", "15.12.25"
-    /\b\d{1,2}\.\d{1,2}\.\d{2,4}\b/g,
-    // Standalone years (restricted to 1900-2099 to avoid false positives)
-    /\b(19|20)\d{2}\b/g,
-    // Time formats: "10:30", "10:30:45", "10:30 AM"
-    /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AaPp][Mm])?\b/g,
-    // "Day X" format: "Day 13"
-    /\bDay\s+\d{1,2}\b/gi
-  ];
-
-  /**
-   * Identify ranges of characters corresponding to date patterns.
-   * @param {string} text
-   * @returns {Array<{start:number,end:number}>}
-   */
-  function findDateRanges(text) {
-    const ranges = [];
-    datePatterns.forEach(re => {
-      re.lastIndex = 0;  // Reset to avoid state pollution from previous calls
-      let match;
-      while ((match = re.exec(text)) !== null) {
-        ranges.push({ start: match.index, end: match.index + match[0].length });
+  /**
+   * Walk a given node and everything under it, including the contents
+   * of any shadow roots, calling the matching visitor callback for each
+   * text node, element and shadow root. Shadow roots are reported
+   * before their contents are walked.
+   * @param {Node} node
+   * @param {{text:function(Node), element:function(Element),
+   *   shadowRoot:function(ShadowRoot)}} visitor All callbacks optional
+   */
+  function walkTree(node, visitor) {
+    const walker = document.createTreeWalker(
+      node,
+      NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT,
+      null,
+      false
+    );
+    let current = node;
+    do {
+      if (current.nodeType === Node.TEXT_NODE) {
+        if (visitor.text) visitor.text(current);
+      } else if (current.nodeType === Node.ELEMENT_NODE) {
+        if (visitor.element) visitor.element(current);
+        const shadowRoot = getShadowRoot(current);
+        if (shadowRoot) {
+          if (visitor.shadowRoot) visitor.shadowRoot(shadowRoot);
+          walkTree(shadowRoot, visitor);
+        }
       }
+    } while ((current = walker.nextNode()));
+  }
+
+  /**
+   * Recursively process all text nodes and elements under a given node.
+   * Shadow roots found on the way are observed for later changes.
+   * @param {Node} node
+   * @param {Object} config
+   */
+  function processTree(node, config) {
+    walkTree(node, {
+      text: textNode => processTextNode(textNode, config),
+      element: element => processElement(element, config),
+      shadowRoot: observeRoot
     });
-    return ranges;
   }
 
   /**
-   * Check if an index falls within any of the date ranges.
-   * @param {number} index
-   * @param {Array<{start:number,end:number}>} ranges
+   * Recursively restore all masked text nodes and elements under a
+   * given node.
+   * @param {Node} node
    */
-  function indexInRanges(index, ranges) {
-    for (const r of ranges) {
-      if (index >= r.start && index < r.end) {
-        return true;
+  function restoreTree(node) {
+    walkTree(node, {
+      text: restoreTextNode,
+      element: restoreElement
+    });
+  }
+
+  /**
+   * Start observing the document or a shadow root with the current
+   * observer, if masking is on.
+   * @param {Node} root
+   */
+  function observeRoot(root) {
+    if (observer) {
+      observer.observe(root, observerOptions);
+    }
+  }
+
+  // Attributes whose change affects how everything inside the element is
+  // treated, not just the element itself.
+  const TREE_ATTRIBUTES = ['class', 'id', 'contenteditable'];
+
+  // Work collected from mutation records until the next flush. Sets
+  // coalesce repeated changes to the same node, such as a ticker
+  // rewriting its text many times a frame.
+  let pending = null;
+  let flushHandle = null;
+
+  /**
+   * Create an empty set of pending work.
+   */
+  function createPending() {
+    return {
+      removed: new Set(),
+      trees: new Set(),
+      texts: new Set(),
+      elements: new Set()
+    };
+  }
+
+  /**
+   * Record mutations for the next flush and schedule it. Flushes run in
+   * an animation frame, so everything is masked before the next paint
+   * however many mutations arrive in between. Hidden tabs get no
+   * animation frames, so there a timer keeps the queue from growing.
+   * @param {Array<MutationRecord>} mutations
+   */
+  function queueMutations(mutations) {
+    for (const mutation of mutations) {
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE && !createdNodes.has(node)) {
+          pending.removed.add(node);
+        }
+      });
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType === Node.TEXT_NODE) {
+          pending.texts.add(node);
+        } else if (node.nodeType === Node.ELEMENT_NODE && !createdNodes.has(node)) {
+          pending.trees.add(node);
+        }
+      });
+      if (mutation.type === 'characterData') {
+        pending.texts.add(mutation.target);
+      } else if (mutation.type === 'attributes') {
+        if (TREE_ATTRIBUTES.includes(mutation.attributeName)) {
+          // A class or id change can move an element into or out of
+          // the site's selectors, and contenteditable in or out of an
+          // editable region.
+          pending.trees.add(mutation.target);
+        } else {
+          pending.elements.add(mutation.target);
+        }
       }
     }
+    if (flushHandle === null) {
+      flushHandle = document.hidden
+        ? setTimeout(flushMutations, 250)
+        : requestAnimationFrame(flushMutations);
+    }
+  }
+
+  /**
+   * Check whether an element is inside another element that is also
+   * queued for processing, which will reach it anyway.
+   * @param {Element} element
+   * @param {Set<Element>} trees
+   */
+  function insideQueuedTree(element, trees) {
+    for (let parent = composedParent(element); parent; parent = composedParent(parent)) {
+      if (trees.has(parent)) return true;
+    }
     return false;
   }
 
   /**
-   * Transform a string according to the current configuration. If
-   * hideMagnitude is true, all numeric expressions are replaced with
-   * exactly three replacement characters. Date substrings are
-   * preserved. Spelled‑out numbers are handled similarly.
-   *
-   * @param {string} text
+   * Process the work queued by queueMutations.
+   */
+  function flushMutations() {
+    cancelAnimationFrame(flushHandle);
+    clearTimeout(flushHandle);
+    flushHandle = null;
+    const work = pending;
+    const config = activeConfig;
+    pending = createPending();
+    if (!config) return;
+    resetSkipCache();
+    // A masked text node taken out of the page takes its spans along
+    // and gets its text back, in case it is inserted again.
+    work.removed.forEach(restoreTextNode);
+    work.trees.forEach(element => {
+      if (element.isConnected && !insideQueuedTree(element, work.trees)) {
+        processTree(element, config);
+      }
+    });
+    work.texts.forEach(textNode => {
+      if (textNode.isConnected) processTextNode(textNode, config);
+    });
+    work.elements.forEach(element => {
+      if (element.isConnected) processElement(element, config);
+    });
+    processGenerated(config);
+    scheduleStats();
+    scheduleDiagnostics();
+  }
+
+  /**
+   * Stop observing mutations and put back the original text of every
+   * masked node on the page.
+   */
+  function stopMasking() {
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    if (flushHandle !== null) {
+      cancelAnimationFrame(flushHandle);
+      clearTimeout(flushHandle);
+      flushHandle = null;
+    }
+    pending = null;
+    generatedQueue = [];
+    activeConfig = null;
+    hovered = null;
+    restoreTree(document);
+  }
+
+  /**
+   * Mask the page with the given configuration and keep dynamic content
+   * masked with a MutationObserver. The whole document is observed, so
+   * masking can start at document_start: content the parser adds later
+   * is masked by the observer before it is first painted.
    * @param {Object} config
    */
-  function transformString(text, config) {
-    const ranges = findDateRanges(text);
-    let result = text;
-    // Replace numeric sequences with optional suffixes
-    result = result.replace(numberWithSuffixRegex, (match, offset) => {
-      if (indexInRanges(offset, ranges)) {
-        return match;
+  function startMasking(config) {
+    // Never leave a second observer running
+    if (observer) observer.disconnect();
+    activeConfig = config;
+    pending = createPending();
+    resetSkipCache();
+    // Observe mutations for dynamic content, in the document and in
+    // every shadow root that processTree finds. They are handled in
+    // batches by flushMutations.
+    observer = new MutationObserver(queueMutations);
+    observerOptions = {
+      childList: true,
+      subtree: true,
+      characterData: true
+    };
+    const attributeFilter = (config.maskAttributes || []).filter(name => !UNSAFE_ATTRIBUTES.includes(name));
+    if (config.maskFormValues || config.maskTextFields) {
+      attributeFilter.push('value');
+    }
+    const scope = getScope(config);
+    // Classes can change what generated content shows, too
+    if (scope.include || scope.exclude || scope.always || scope.magnitude || config.maskGenerated) {
+      attributeFilter.push('class', 'id');
+    }
+    // An element made editable must get its real text back
+    attributeFilter.push('contenteditable');
+    observerOptions.attributeFilter = attributeFilter;
+    // Process existing text, then watch for changes. shouldSkip leaves
+    // the head's scripts and styles alone, and the title unless
+    // maskTitle is set.
+    processTree(document, config);
+    processGenerated(config);
+    observeRoot(document);
+  }
+
+  // Show the real value of a text input while it is being edited, and
+  // hide it again afterwards. Values typed or set by script do not cause
+  // DOM mutations, so inputs are also re-checked when they change.
+  document.addEventListener('focusin', event => {
+    if (!activeConfig) return;
+    const target = event.composedPath()[0];
+    if (target instanceof HTMLInputElement) {
+      restoreFormValue(target);
+    }
+  }, true);
+  ['focusout', 'change'].forEach(type => {
+    document.addEventListener(type, event => {
+      if (!activeConfig) return;
+      const target = event.composedPath()[0];
+      if (target instanceof HTMLInputElement) {
+        // focusout fires before focus has left the element
+        setTimeout(() => {
+          if (activeConfig) processFormValue(target, activeConfig);
+        }, 0);
       }
-      if (config.hideMagnitude) {
-        return '•••';
+    }, true);
+  });
+
+  // injection.js announces shadow roots attached after the page was
+  // processed, since attaching one does not cause a DOM mutation. The
+  // event is a FocusEvent only so that it can carry the host as its
+  // relatedTarget, which arrives retargeted to the outermost host in
+  // the document; processing that host reaches the new root.
+  document.addEventListener('see-no-numbers-shadow-root', event => {
+    if (!activeConfig) return;
+    const host = event.relatedTarget;
+    if (host && host.nodeType === Node.ELEMENT_NODE) {
+      resetSkipCache();
+      processTree(host, activeConfig);
+      processGenerated(activeConfig);
+    }
+  }, true);
+
+  /**
+   * Find the mask span under a point in the viewport, looking into
+   * shadow roots.
+   * @param {number} x
+   * @param {number} y
+   * @returns {?{node:Node, entry:Object, index:number}}
+   */
+  function maskSpanAtPoint(x, y) {
+    let element = document.elementFromPoint(x, y);
+    for (let root = element && getShadowRoot(element); root; root = element && getShadowRoot(element)) {
+      const inner = root.elementFromPoint(x, y);
+      if (!inner || inner === element) break;
+      element = inner;
+    }
+    for (let el = element; el; el = el.parentElement) {
+      const target = maskSpans.get(el);
+      if (target) {
+        const entry = maskedNodes.get(target.textNode);
+        return entry && entry.spans ? { node: target.textNode, entry, index: target.index } : null;
       }
-      let out = '';
-      for (let i = 0; i < match.length; i++) {
-        const c = match[i];
-        if (/[0-9a-zA-Z]/.test(c)) {
-          out += '•';
-        } else {
-          out += c;
+    }
+    return null;
+  }
+
+  /**
+   * Find the masked number under a point in the viewport.
+   * @param {number} x
+   * @param {number} y
+   * @returns {?{node:Node, entry:Object, index:number}}
+   */
+  function maskAtPoint(x, y) {
+    const spanHit = maskSpanAtPoint(x, y);
+    if (spanHit) return spanHit;
+    let node;
+    let offset;
+    if (document.caretPositionFromPoint) {
+      const position = document.caretPositionFromPoint(x, y);
+      if (!position) return null;
+      node = position.offsetNode;
+      offset = position.offset;
+    } else if (document.caretRangeFromPoint) {
+      const caret = document.caretRangeFromPoint(x, y);
+      if (!caret) return null;
+      node = caret.startContainer;
+      offset = caret.startOffset;
+    } else {
+      return null;
+    }
+    if (!node || node.nodeType !== Node.TEXT_NODE) return null;
+    const entry = maskedNodes.get(node);
+    if (!entry || entry.spans || node.nodeValue !== entry.masked) return null;
+    const { spans } = renderMasks(entry.original, entry.masks, entry.revealed);
+    const range = document.createRange();
+    for (let i = 0; i < spans.length; i++) {
+      // The caret snaps to the nearest character boundary, so confirm
+      // the point lies inside the mask's own boxes and not just beside it.
+      if (offset < spans[i].start || offset > spans[i].end) continue;
+      range.setStart(node, spans[i].start);
+      range.setEnd(node, spans[i].end);
+      for (const rect of range.getClientRects()) {
+        if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+          return { node, entry, index: i };
         }
       }
-      return out;
-    });
-    // Replace spelled‑out numbers
-    result = result.replace(wordRegex, (match, offset) => {
-      if (indexInRanges(offset, ranges)) {
-        return match;
+    }
+    return null;
+  }
+
+  /**
+   * Show or hide the original text of a single mask within a text node.
+   * @param {Node} textNode
+   * @param {number} index Index of the mask within the node's entry
+   * @param {boolean} reveal
+   */
+  function setRevealed(textNode, index, reveal) {
+    const entry = maskedNodes.get(textNode);
+    if (!entry || textNode.nodeValue !== entry.masked) return;
+    if (reveal) {
+      entry.revealed.add(index);
+    } else {
+      entry.revealed.delete(index);
+    }
+    if (entry.spans) {
+      // A revealed span simply loses its mask style
+      const span = entry.spans[index];
+      span.style.cssText = reveal ? '' : entry.style;
+      return;
+    }
+    entry.masked = renderMasks(entry.original, entry.masks, entry.revealed).text;
+    textNode.nodeValue = entry.masked;
+  }
+
+  // Reveal a number on click. The click is swallowed so that revealing a
+  // number inside a link does not follow it; a second click goes through.
+  document.addEventListener('click', event => {
+    if (!activeConfig || activeConfig.revealOn !== 'click') return;
+    const hit = maskAtPoint(event.clientX, event.clientY);
+    if (!hit || hit.entry.revealed.has(hit.index)) return;
+    event.preventDefault();
+    event.stopPropagation();
+    setRevealed(hit.node, hit.index, true);
+    const timeout = Number(activeConfig.revealTimeout);
+    if (timeout > 0) {
+      setTimeout(() => setRevealed(hit.node, hit.index, false), timeout * 1000);
+    }
+  }, true);
+
+  // Reveal a number while the pointer is over it.
+  document.addEventListener('mousemove', event => {
+    if (!activeConfig || activeConfig.revealOn !== 'hover') return;
+    const x = event.clientX;
+    const y = event.clientY;
+    cancelAnimationFrame(hoverFrame);
+    hoverFrame = requestAnimationFrame(() => {
+      const hit = maskAtPoint(x, y);
+      if (hovered && hit && hovered.node === hit.node && hovered.index === hit.index) {
+        return;
+      }
+      if (hovered) {
+        setRevealed(hovered.node, hovered.index, false);
       }
-      if (config.hideMagnitude) {
-        return '•••';
+      hovered = hit;
+      if (hit) {
+        setRevealed(hit.node, hit.index, true);
       }
-      return '•'.repeat(match.length);
     });
-    return result;
+  }, true);
+
+  /**
+   * Find the nearest ancestor of an element that is not laid out inline,
+   * which decides where copied text starts a new line.
+   * @param {Element} element
+   * @param {Map<Element, Element>} cache
+   * @returns {Element}
+   */
+  function blockAncestor(element, cache) {
+    if (cache.has(element)) return cache.get(element);
+    const display = getComputedStyle(element).display;
+    const block = element.parentElement && (display.startsWith('inline') || display === 'contents')
+      ? blockAncestor(element.parentElement, cache)
+      : element;
+    cache.set(element, block);
+    return block;
   }
 
   /**
-   * Determine whether a text node should be skipped (e.g., script,
-   * style, textarea, code or pre elements).
-   * @param {Node} node
+   * Get the selected part of a text node as it should go on the
+   * clipboard. Masks drawn with replacement characters give back their
+   * original text, unless copyMasked is set; masks wrapped in spans,
+   * which keep their original text, give their replacement when it is.
+   * Only masks selected in full are swapped.
+   * @param {Text} node
+   * @param {number} start
+   * @param {number} end
+   * @param {boolean} copyMasked
+   * @returns {{text:string, swapped:boolean}}
+   */
+  function clipboardPiece(node, start, end, copyMasked) {
+    const text = node.nodeValue;
+    const span = maskSpans.get(node.parentNode);
+    const entry = maskedNodes.get(span ? span.textNode : node);
+    if (entry && span && copyMasked && !entry.revealed.has(span.index) && start === 0 && end === text.length) {
+      return { text: entry.masks[span.index].replacement, swapped: true };
+    }
+    if (!entry || span || copyMasked || entry.spans || text !== entry.masked) {
+      return { text: text.slice(start, end), swapped: false };
+    }
+    let piece = '';
+    let position = start;
+    renderMasks(entry.original, entry.masks, entry.revealed).spans.forEach((shown, index) => {
+      if (entry.revealed.has(index) || shown.start < position || shown.end > end) return;
+      const mask = entry.masks[index];
+      piece += text.slice(position, shown.start) + entry.original.slice(mask.start, mask.end);
+      position = shown.end;
+    });
+    return { text: piece + text.slice(position, end), swapped: position !== start };
+  }
+
+  /**
+   * Build the clipboard text of a selection with its masks copied as
+   * copyText says, by walking the selected text nodes in document order.
+   * Whitespace is collapsed outside preformatted text, and a new line
+   * starts where the text moves to another block or at a <br>, which
+   * is close to what selection.toString() gives.
+   * @param {Selection} selection
+   * @param {boolean} copyMasked
+   * @returns {?string} null if no selected mask is copied differently
+   *   from how the page shows it
    */
-  function shouldSkip(node) {
-    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
-      if (parent.nodeType === Node.ELEMENT_NODE) {
-        const tag = parent.nodeName.toLowerCase();
-        if (['script', 'style', 'textarea', 'code', 'pre'].includes(tag)) {
-          return true;
+  function clipboardText(selection, copyMasked) {
+    const blocks = new Map();
+    let text = '';
+    let swapped = false;
+    let lastBlock = null;
+    const newLine = () => {
+      text = text.replace(/[ \t]+$/, '');
+      if (text && !text.endsWith('\n')) text += '\n';
+    };
+    for (let i = 0; i < selection.rangeCount; i++) {
+      const range = selection.getRangeAt(i);
+      const root = range.commonAncestorContainer;
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+      for (let node = root.nodeType === Node.TEXT_NODE ? root : walker.nextNode(); node; node = walker.nextNode()) {
+        if (!range.intersectsNode(node)) continue;
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          if (node.nodeName === 'BR') newLine();
+          continue;
+        }
+        const parent = node.parentElement;
+        if (!parent || parent.closest('script, style, template, noscript')) continue;
+        const block = blockAncestor(parent, blocks);
+        if (lastBlock && block !== lastBlock) newLine();
+        lastBlock = block;
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.nodeValue.length;
+        const piece = clipboardPiece(node, start, end, copyMasked);
+        swapped = swapped || piece.swapped;
+        if (getComputedStyle(parent).whiteSpace.startsWith('pre')) {
+          text += piece.text;
+        } else {
+          const collapsed = piece.text.replace(/\s+/g, ' ');
+          text += /(?:^|[ \n])$/.test(text) ? collapsed.replace(/^ /, '') : collapsed;
         }
       }
+      newLine();
     }
-    return false;
+    return swapped ? text.replace(/\n$/, '') : null;
   }
 
-  // Keep track of the last injected script element so it can be removed
-  // when configuration changes.
-  let injectedScriptElement = null;
+  // Put the original or the masked numbers on the clipboard, following
+  // copyText. The clipboard then holds plain text only, so this happens
+  // only when a selected mask would otherwise be copied the wrong way.
+  document.addEventListener('copy', event => {
+    if (!activeConfig || !event.clipboardData) return;
+    const selection = document.getSelection();
+    if (!selection || selection.isCollapsed) return;
+    const text = clipboardText(selection, activeConfig.copyText === 'masked');
+    if (text === null) return;
+    event.clipboardData.setData('text/plain', text);
+    event.preventDefault();
+  }, true);
+
+  // Configuration masking was suspended with while peeking, or null.
+  let peekConfig = null;
+  let peekTimer = null;
 
   /**
-   * Inject the canvas override script with the given configuration. The
-   * configuration object is serialized onto a data‑config attribute so
-   * that injection.js can read it.
-   * @param {Object} config
+   * Show the whole page unmasked for a limited time. When untilKeyUp is
+   * set the peek also ends as soon as a key is released, so holding the
+   * shortcut keeps the numbers visible.
+   * @param {number} seconds Maximum duration of the peek
+   * @param {boolean} untilKeyUp
    */
-  function injectCanvasScript(config) {
-    // Remove any previously injected script to avoid stacking
-    if (injectedScriptElement && injectedScriptElement.parentNode) {
-      injectedScriptElement.parentNode.removeChild(injectedScriptElement);
-    }
-    if (!document.documentElement) return;
-    const script = document.createElement('script');
-    script.type = 'module';
-    script.src = chrome.runtime.getURL('injection.js');
-    script.setAttribute('data-config', JSON.stringify(config));
-    script.onload = () => {
-      script.remove();
-    };
-    document.documentElement.appendChild(script);
-    injectedScriptElement = script;
+  function startPeek(seconds, untilKeyUp) {
+    if (!peekConfig) {
+      if (!activeConfig) return;
+      peekConfig = activeConfig;
+      stopMasking();
+      updateCanvas(Object.assign({}, peekConfig, { enabled: false }));
+    }
+    clearTimeout(peekTimer);
+    peekTimer = setTimeout(endPeek, seconds * 1000);
+    if (untilKeyUp) {
+      document.addEventListener('keyup', endPeek, true);
+    }
   }
 
   /**
-   * Process a text node using the given configuration.
-   * @param {Node} textNode
-   * @param {Object} config
+   * Forget any peek in progress without re-applying masking.
    */
-  function processTextNode(textNode, config) {
-    if (textNode.nodeType !== Node.TEXT_NODE) return;
-    if (shouldSkip(textNode)) return;
-    const original = textNode.nodeValue;
-    const transformed = transformString(original, config);
-    if (transformed !== original) {
-      textNode.nodeValue = transformed;
+  function cancelPeek() {
+    clearTimeout(peekTimer);
+    peekTimer = null;
+    document.removeEventListener('keyup', endPeek, true);
+    peekConfig = null;
+  }
+
+  /**
+   * End a peek and mask the page again.
+   */
+  function endPeek() {
+    const config = peekConfig;
+    cancelPeek();
+    if (config) {
+      updateCanvas(config);
+      startMasking(config);
     }
   }
 
+  // Shortest time between two reports of the statistics, in milliseconds.
+  const STATS_DELAY = 1000;
+
+  // The statistics last sent to background.js, serialized, or null if
+  // it has none, and the timer of the next report.
+  let reportedStats = null;
+  let statsTimer = null;
+
+  // Serialized statistics of a page with nothing masked or kept.
+  const EMPTY_STATS = JSON.stringify({ masked: {}, kept: {} });
+
+  // Whether the toolbar badge shows the count. Only then is the page
+  // counted after it changes; otherwise only when the popup asks.
+  let badgeCount = false;
+
+  /**
+   * Count the matches masked and kept visible in the page's text,
+   * including shadow roots, by category.
+   * @returns {{masked:Object<string, number>, kept:Object<string, number>}}
+   */
+  function countMatches() {
+    const stats = { masked: {}, kept: {} };
+    const add = (totals, matches) => matches.forEach(match => {
+      totals[match.category] = (totals[match.category] || 0) + 1;
+    });
+    if (!activeConfig) return stats;
+    walkTree(document, {
+      text: textNode => {
+        const entry = maskedNodes.get(textNode);
+        const kept = keptMatches.get(textNode);
+        if (entry && textNode.nodeValue === entry.masked) {
+          add(stats.masked, entry.masks);
+          add(stats.kept, entry.kept || []);
+        } else if (kept && textNode.nodeValue === kept.text) {
+          add(stats.kept, kept.kept);
+        }
+      }
+    });
+    return stats;
+  }
+
+  /**
+   * Report the statistics to background.js, for the badge and the
+   * popup, if they changed. The page is counted in full, so this only
+   * happens while masking is on and the badge shows the count or the
+   * popup asked (requested), reports are at most STATS_DELAY apart and
+   * they wait until the page is idle. Once masking is off, counts sent
+   * before are withdrawn with an empty report; otherwise empty reports
+   * are never sent.
+   * @param {boolean} [requested] Count right away, for the popup
+   */
+  function scheduleStats(requested) {
+    if (statsTimer !== null) return;
+    if (activeConfig ? !badgeCount && !requested : reportedStats === null) return;
+    statsTimer = setTimeout(() => {
+      requestIdleCallback(() => {
+        statsTimer = null;
+        const serialized = JSON.stringify(countMatches());
+        if (serialized === (reportedStats || EMPTY_STATS)) return;
+        reportedStats = serialized === EMPTY_STATS ? null : serialized;
+        chrome.runtime.sendMessage({ type: 'page-stats', stats: JSON.parse(serialized) }, () => {
+          void chrome.runtime.lastError;
+        });
+      }, { timeout: STATS_DELAY });
+    }, requested ? 0 : STATS_DELAY);
+  }
+
+  // Count after every change once the badge shows the count.
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes.badgeCount) return;
+    badgeCount = Boolean(changes.badgeCount.newValue);
+    scheduleStats();
+  });
+
+  // Most items the diagnostics overlay shows, so that a long page does
+  // not bury the browser in boxes.
+  const MAX_DIAGNOSTICS = 2000;
+
+  // Shortest time between two refreshes of the overlay while the page
+  // changes, in milliseconds, and the timer of the next one.
+  const DIAGNOSTICS_DELAY = 500;
+  let diagnosticsTimer = null;
+
+  /**
+   * Get the label of a category or preservation rule.
+   * @param {Array<{id:string, label:string}>} list
+   * @param {string} id
+   */
+  function labelOf(list, id) {
+    const found = list.find(item => item.id === id);
+    return found ? found.label : id;
+  }
+
+  /**
+   * Describe why a match was masked.
+   * @param {{category:string}} mask
+   */
+  function maskReason(mask) {
+    if (mask.category === 'custom') return 'Matches one of your "always mask" patterns';
+    return `${labelOf(CATEGORIES, mask.category)} are masked on this site`;
+  }
+
+  /**
+   * Describe why findMasks left a match visible.
+   * @param {{category:string, rule:(string|undefined)}} match
+   */
+  function keptReason(match) {
+    if (match.category === 'date') return `Kept by the "${labelOf(PRESERVATION_RULES, match.rule)}" rule`;
+    if (match.category === 'allowed') return 'Matches one of your "never mask" patterns';
+    return `${labelOf(CATEGORIES, match.category)} are not masked on this site`;
+  }
+
   /**
-   * Recursively process all text nodes under a given node.
+   * Create a range over part of a text node, or null if the node no
+   * longer has that much text.
    * @param {Node} node
+   * @param {number} start
+   * @param {number} end
+   * @returns {?Range}
+   */
+  function textRange(node, start, end) {
+    if (!node || node.nodeType !== Node.TEXT_NODE || end > node.nodeValue.length) return null;
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, end);
+    return range;
+  }
+
+  /**
+   * Find where a match left visible in a masked text node is shown now.
+   * With replacement characters the masks before it shift it; with a
+   * span style it is in the text node itself or in the text inserted
+   * after the mask span before it.
+   * @param {Node} textNode
+   * @param {Object} entry The node's entry in maskedNodes
+   * @param {{start:number, end:number}} match Offsets in the original text
+   * @returns {?Range}
+   */
+  function keptRange(textNode, entry, match) {
+    const before = entry.masks.filter(mask => mask.end <= match.start);
+    if (!before.length) {
+      return textRange(textNode, match.start, match.end);
+    }
+    const last = before[before.length - 1];
+    if (entry.spans) {
+      const node = entry.spans[before.length - 1].nextSibling;
+      return createdNodes.has(node) ? textRange(node, match.start - last.end, match.end - last.end) : null;
+    }
+    const shown = renderMasks(entry.original, before, entry.revealed).text;
+    const shift = shown.length - entry.original.length;
+    return textRange(textNode, match.start + shift, match.end + shift);
+  }
+
+  /**
+   * Add the diagnostics items of a text node: its masks and the matches
+   * left visible in it, or, if it has digits but was skipped, its
+   * element, once.
+   * @param {Node} textNode
    * @param {Object} config
+   * @param {Array<Object>} items
+   * @param {Set<Element>} skipped Elements already added as skipped
    */
-  function processTree(node, config) {
-    const walker = document.createTreeWalker(
-      node,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    let current;
-    while ((current = walker.nextNode())) {
-      processTextNode(current, config);
+  function diagnoseTextNode(textNode, config, items, skipped) {
+    if (createdNodes.has(textNode)) return;
+    const entry = maskedNodes.get(textNode);
+    const kept = keptMatches.get(textNode);
+    const ranges = highlightRanges.get(textNode);
+    const addKept = (match, text, target) => {
+      if (target) items.push({ kind: 'kept', reason: keptReason(match), text, target, reportable: false });
+    };
+    if (entry && textNode.nodeValue === entry.masked) {
+      const shown = entry.spans ? null : renderMasks(entry.original, entry.masks, entry.revealed).spans;
+      entry.masks.forEach((mask, index) => {
+        const target = entry.spans ? entry.spans[index] : textRange(textNode, shown[index].start, shown[index].end);
+        if (!target) return;
+        items.push({
+          kind: 'masked',
+          reason: maskReason(mask) + (entry.revealed.has(index) ? ' (revealed for now)' : ''),
+          text: entry.original.slice(mask.start, mask.end),
+          target,
+          reportable: true
+        });
+      });
+      (entry.kept || []).forEach(match => {
+        if (entry.masks.some(mask => mask.start < match.end && match.start < mask.end)) return;
+        addKept(match, entry.original.slice(match.start, match.end), keptRange(textNode, entry, match));
+      });
+    } else if (kept && textNode.nodeValue === kept.text) {
+      kept.kept.forEach(match => {
+        addKept(match, kept.text.slice(match.start, match.end), textRange(textNode, match.start, match.end));
+      });
+    } else if (ranges) {
+      ranges.forEach(range => items.push({
+        kind: 'masked',
+        reason: 'Covered, since the text of editable regions is never changed',
+        text: range.toString(),
+        target: range,
+        reportable: true
+      }));
+    } else if (/\p{Nd}/u.test(textNode.nodeValue)) {
+      const reason = skipReason(textNode, config);
+      const element = composedParent(textNode);
+      if (!reason || !element || element.nodeType !== Node.ELEMENT_NODE || skipped.has(element)) return;
+      skipped.add(element);
+      // Scripts, styles and the like take no space on the page
+      if (element.getClientRects().length) {
+        items.push({ kind: 'skipped', reason, text: '', target: element, reportable: false });
+      }
+    }
+  }
+
+  /**
+   * List what the diagnostics overlay shows: every mask, every match
+   * left visible and every element with digits that was skipped, up to
+   * MAX_DIAGNOSTICS in document order.
+   * @returns {Array<Object>} Items for SeeNoNumbersDiagnostics.show
+   */
+  function collectDiagnostics() {
+    const items = [];
+    if (!activeConfig) return items;
+    const skipped = new Set();
+    resetSkipCache();
+    walkTree(document, {
+      text: textNode => {
+        if (items.length < MAX_DIAGNOSTICS) diagnoseTextNode(textNode, activeConfig, items, skipped);
+      }
+    });
+    return items.slice(0, MAX_DIAGNOSTICS);
+  }
+
+  /**
+   * Describe the diagnostics of the page for the overlay's banner.
+   * @param {Array<Object>} items
+   * @returns {string}
+   */
+  function diagnosticsSummary(items) {
+    if (!activeConfig) {
+      return 'Masking is off on this page. Press Esc to close.';
+    }
+    const count = kind => items.filter(item => item.kind === kind).length;
+    const limit = items.length >= MAX_DIAGNOSTICS ? ` (the first ${MAX_DIAGNOSTICS})` : '';
+    return `${count('masked')} masked, ${count('kept')} kept visible, ${count('skipped')} areas not checked` +
+      `${limit}. Hover one to see why; press Esc to close.`;
+  }
+
+  /**
+   * Turn on the diagnostics overlay, or bring it up to date. Only the
+   * top frame shows the banner.
+   */
+  function showDiagnostics() {
+    const items = collectDiagnostics();
+    const summary = window === window.top ? diagnosticsSummary(items) : null;
+    SeeNoNumbersDiagnostics.show(items, summary, item => {
+      // background.js adds the pattern to the tab's site rule, which
+      // re-applies masking
+      chrome.runtime.sendMessage({ type: 'allow-pattern', pattern: item.text.trim() }, () => {
+        void chrome.runtime.lastError;
+      });
+    });
+  }
+
+  /**
+   * Turn the diagnostics overlay on or off.
+   */
+  function toggleDiagnostics() {
+    if (SeeNoNumbersDiagnostics.isActive()) {
+      SeeNoNumbersDiagnostics.hide();
+    } else {
+      showDiagnostics();
+    }
+  }
+
+  /**
+   * Bring the diagnostics overlay up to date with the page, if it is
+   * on, at most every DIAGNOSTICS_DELAY.
+   */
+  function scheduleDiagnostics() {
+    if (diagnosticsTimer !== null || !SeeNoNumbersDiagnostics.isActive()) return;
+    diagnosticsTimer = setTimeout(() => {
+      diagnosticsTimer = null;
+      if (SeeNoNumbersDiagnostics.isActive()) showDiagnostics();
+    }, DIAGNOSTICS_DELAY);
+  }
+
+  /**
+   * Get the URL whose site rules apply to this document. In a frame that
+   * is the URL of the tab it belongs to, which background.js reports
+   * since a cross-origin frame cannot read it.
+   * @param {function(string, boolean)} callback Called with the URL and
+   *   whether this document is a frame
+   */
+  function getPageUrl(callback) {
+    if (window === window.top) {
+      callback(window.location.href, false);
+      return;
     }
+    chrome.runtime.sendMessage({ type: 'get-tab-url' }, response => {
+      void chrome.runtime.lastError;
+      callback((response && response.url) || window.location.href, true);
+    });
   }
 
   /**
    * Load configuration from chrome.storage and then apply processing and
    * injection. If storage retrieval fails, defaults are used.
-   * Respects both site-specific and global enabled state.
+   * Respects site-specific and global enabled state, schedules and
+   * snoozes (see schedule.js). Site rules are
+   * matched against the full URL of the tab, so path-scoped rules apply
+   * too and frames follow the page that embeds them.
    */
   function initialize() {
-    const hostname = window.location.hostname;
-    chrome.storage.local.get({ siteConfigs: {}, globalEnabled: true }, result => {
-      const siteConfigs = result.siteConfigs || {};
-      const siteConfig = siteConfigs[hostname] || {};
-      const config = Object.assign({}, defaultConfig, siteConfig);
-      const globalEnabled = result.globalEnabled !== false;
-      // If disabled globally or for this site, do nothing.
-      if (!globalEnabled || !config.enabled) {
+    getPageUrl((pageUrl, isFrame) => loadConfig(pageUrl, isFrame));
+  }
+
+  /**
+   * Resolve the configuration for a page URL and re-apply masking.
+   * @param {string} pageUrl
+   * @param {boolean} isFrame
+   */
+  function loadConfig(pageUrl, isFrame) {
+    chrome.storage.local.get({
+      siteConfigs: {},
+      globalEnabled: true,
+      globalSchedule: null,
+      snoozes: {},
+      globalMaskPatterns: [],
+      globalAllowPatterns: [],
+      badgeCount: false
+    }, result => {
+      badgeCount = Boolean(result.badgeCount);
+      const config = resolveSiteConfig(result.siteConfigs || {}, pageUrl);
+      // background.js sends config-update whenever a schedule or
+      // snooze changes the outcome, so it is decided once per load
+      const now = new Date();
+      const inFrame = isFrame && !config.maskFrames;
+      const enabled = !inFrame && maskingActive(config, result, pageUrl, now);
+      // Elements the user always wants masked stay masked while the
+      // rest of the site is not, unless the extension is off or snoozed
+      config.forcedOnly = !enabled && !inFrame && config.maskSelectors.length > 0 &&
+        maskingActive(Object.assign({}, config, { enabled: true, schedule: null }), result, pageUrl, now);
+      // Global patterns apply on every site, in addition to its own
+      config.maskPatterns = result.globalMaskPatterns.concat(config.maskPatterns);
+      config.allowPatterns = result.globalAllowPatterns.concat(config.allowPatterns);
+      // Number words follow the language the document declares. At
+      // document_start it may not be known yet; initialize() runs again
+      // once the document has been parsed.
+      if (config.locale === 'auto') {
+        config.locale = localeForLanguage(document.documentElement ? document.documentElement.lang : '');
+      }
+      const serialized = JSON.stringify({ enabled, config });
+      if (serialized === loadedConfig) {
+        revealPage();
         return;
       }
-      // Process existing text
-      processTree(document.body, config);
-      // Observe mutations for dynamic content
-      const observer = new MutationObserver(mutations => {
-        for (const mutation of mutations) {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.TEXT_NODE) {
-              processTextNode(node, config);
-            } else if (node.nodeType === Node.ELEMENT_NODE) {
-              processTree(node, config);
-            }
-          });
-          if (mutation.type === 'characterData' && mutation.target) {
-            processTextNode(mutation.target, config);
-          }
+      loadedConfig = serialized;
+      // Undo any masking from a previous configuration so that
+      // switching modes or disabling re-renders the page in place.
+      cancelPeek();
+      stopMasking();
+      // Canvas text follows the same configuration, including off
+      updateCanvas(Object.assign({}, config, { enabled }));
+      // If disabled globally or for this site, leave the page as it is.
+      if (enabled || config.forcedOnly) {
+        startMasking(config);
+      }
+      scheduleStats();
+      scheduleDiagnostics();
+      revealPage();
+    });
+  }
+
+  // Prompts of the element picker and the settings it adds to, by scope.
+  const PICK_SCOPES = {
+    include: { prompt: 'Mask only inside', key: 'includeSelectors' },
+    exclude: { prompt: 'Never mask inside', key: 'excludeSelectors' },
+    mask: { prompt: 'Always mask inside', key: 'maskSelectors' },
+    magnitude: { prompt: 'Hide as a size bar', key: 'magnitudeSelectors' }
+  };
+
+  /**
+   * Let the user pick an element and add its selector to the include,
+   * exclude, always-mask or magnitude selectors of a site rule, then
+   * re-apply masking. A missing rule starts from the new-site defaults,
+   * as in background.js.
+   * @param {string} scope 'include', 'exclude', 'mask' or 'magnitude'
+   * @param {string} ruleKey The site rule to add the selector to
+   */
+  function pickElement(scope, ruleKey) {
+    const { prompt, key } = PICK_SCOPES[scope] || PICK_SCOPES.exclude;
+    SeeNoNumbersPicker.startPicker(prompt, selector => {
+      chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
+        const siteConfigs = result.siteConfigs || {};
+        const siteConfig = siteConfigs[ruleKey] = siteConfigs[ruleKey] || createSiteConfig(result.siteDefaults);
+        const selectors = siteConfig[key] = siteConfig[key] || [];
+        if (!selectors.includes(selector)) {
+          selectors.push(selector);
         }
+        chrome.storage.local.set({ siteConfigs }, initialize);
       });
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        characterData: true
-      });
-      // Inject the canvas override script for this site
-      if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', () => injectCanvasScript(config));
-      } else {
-        injectCanvasScript(config);
+    });
+  }
+
+  // The element the context menu was last opened on, for the actions
+  // background.js adds to it.
+  let contextTarget = null;
+
+  document.addEventListener('contextmenu', event => {
+    contextTarget = event.composedPath()[0];
+  }, true);
+
+  /**
+   * Reveal every masked number inside an element, including its shadow
+   * roots. Like a clicked number, they are masked again after
+   * revealTimeout seconds if it is set.
+   * @param {Element} element
+   */
+  function revealElement(element) {
+    const revealed = [];
+    walkTree(element, {
+      text: textNode => {
+        const entry = maskedNodes.get(textNode);
+        if (!entry) return;
+        entry.masks.forEach((mask, index) => {
+          setRevealed(textNode, index, true);
+          revealed.push({ textNode, index });
+        });
       }
     });
+    const timeout = Number(activeConfig && activeConfig.revealTimeout);
+    if (revealed.length && timeout > 0) {
+      setTimeout(() => {
+        revealed.forEach(hit => setRevealed(hit.textNode, hit.index, false));
+      }, timeout * 1000);
+    }
+  }
+
+  /**
+   * Carry out a context menu action on the element it was opened on.
+   * Revealing happens here; for the others the element's selector is
+   * returned, and background.js adds it to the site rule.
+   * @param {string} action 'reveal', 'mask' or 'exclude'
+   * @returns {{selector: ?string}}
+   */
+  function contextAction(action) {
+    const element = contextTarget && contextTarget.nodeType === Node.ELEMENT_NODE
+      ? contextTarget
+      : contextTarget && composedParent(contextTarget);
+    if (!element || !element.isConnected) {
+      return { selector: null };
+    }
+    if (action === 'reveal') {
+      revealElement(element);
+      return { selector: null };
+    }
+    return { selector: SeeNoNumbersPicker.selectorFor(element) };
+  }
+
+  /**
+   * Show a page that early.js hid at document_start, now that whatever
+   * the parser has produced so far is masked.
+   */
+  function revealPage() {
+    if (typeof SeeNoNumbersEarly !== 'undefined') {
+      SeeNoNumbersEarly.reveal();
+    }
   }
 
   // Listen for configuration updates from the popup. When a
-  // config‑update message is received, reload configuration and
-  // re‑initialize processing and injection. This does not undo any
-  // previous replacements on the current page.
+  // config‑update message is received, reload configuration, restore
+  // the original text and re‑apply masking with the new settings. The
+  // same message is sent when the tab's URL changes, since a different
+  // path rule may now apply. A peek message from the keyboard shortcut
+  // unmasks the page briefly, pick-element starts the element picker,
+  // context-element acts on the element the context menu was opened on,
+  // toggle-diagnostics turns the diagnostics overlay on or off and
+  // report-stats counts the page for the popup.
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message && message.type === 'config-update') {
+      // background.js forgets the statistics of a tab whose URL changes
+      if (message.resetStats) reportedStats = null;
       initialize();
+    } else if (message && message.type === 'peek') {
+      startPeek(message.seconds, message.untilKeyUp);
+    } else if (message && message.type === 'pick-element' && message.ruleKey) {
+      pickElement(message.scope, message.ruleKey);
+    } else if (message && message.type === 'context-element') {
+      sendResponse(contextAction(message.action));
+    } else if (message && message.type === 'toggle-diagnostics') {
+      toggleDiagnostics();
+    } else if (message && message.type === 'report-stats') {
+      scheduleStats(true);
     }
   });
 
-  // Kick off initialization
+  // Kick off initialization. This runs at document_start; the page's
+  // language is only known once it has been parsed, so settings are
+  // resolved again then (a no-op unless the locale changes).
   initialize();
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initialize, { once: true });
+  }
 })();
\ No newline at end of file
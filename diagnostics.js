@@ -0,0 +1,313 @@
+/*
+ * Diagnostics overlay for See No Numbers.
+ *
+ * Loaded as a content script before content.js, which works out what
+ * to show. While the overlay is on, every masked number is outlined in
+ * red, every number left visible in green and every element whose text
+ * is not checked at all in grey, with a dashed border. Hovering one
+ * shows a tooltip with the reason and the original text; masked ones
+ * also offer to report a false positive. Pressing Escape closes the
+ * overlay. Everything is exposed on a single SeeNoNumbersDiagnostics
+ * global.
+ *
+ * The overlay lives in a closed shadow root, so the page's styles do
+ * not reach it, and content.js leaves it alone (see isOverlay).
+ */
+
+(root => {
+  // Outline colors, by kind of item.
+  const COLORS = {
+    masked: '#d93025',
+    kept: '#188038',
+    skipped: '#5f6368'
+  };
+
+  // Headings of the tooltip and their colors, lighter than the outlines
+  // so they read on its dark background, by kind of item.
+  const HEADINGS = {
+    masked: { text: 'Masked', color: '#f28b82' },
+    kept: { text: 'Kept visible', color: '#81c995' },
+    skipped: { text: 'Not checked', color: '#bdc1c6' }
+  };
+
+  const STYLE = `
+    :host { all: initial; }
+    .box {
+      position: fixed;
+      box-sizing: border-box;
+      pointer-events: none;
+      border: 2px solid;
+      border-radius: 2px;
+    }
+    .box.skipped { border-style: dashed; }
+    .panel {
+      position: fixed;
+      max-width: 320px;
+      box-sizing: border-box;
+      padding: 6px 8px;
+      border-radius: 4px;
+      background: #202124;
+      color: #e8eaed;
+      font: 12px/1.4 system-ui, sans-serif;
+      box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+    }
+    .tooltip { display: none; }
+    .banner { right: 8px; bottom: 8px; }
+    .heading { font-weight: 600; }
+    .text {
+      font-family: monospace;
+      white-space: pre-wrap;
+      word-break: break-all;
+      color: #fdd663;
+    }
+    button {
+      font: inherit;
+      margin-top: 4px;
+      cursor: pointer;
+    }
+  `;
+
+  // Elements created for the overlay, so that content.js can leave them
+  // alone.
+  const overlayHosts = new WeakSet();
+
+  // The overlay in progress, if any: its elements, listeners and items.
+  let active = null;
+
+  /**
+   * Check whether an element is the host of the overlay.
+   * @param {Node} node
+   */
+  function isOverlay(node) {
+    return overlayHosts.has(node);
+  }
+
+  /**
+   * Check whether the overlay is on.
+   */
+  function isActive() {
+    return active !== null;
+  }
+
+  /**
+   * Create the host of the overlay with its layer of boxes, tooltip and
+   * banner.
+   * @returns {{host:HTMLElement, layer:HTMLElement, tooltip:HTMLElement, banner:HTMLElement}}
+   */
+  function createOverlay() {
+    const host = document.createElement('div');
+    overlayHosts.add(host);
+    Object.assign(host.style, {
+      position: 'fixed',
+      top: '0',
+      left: '0',
+      width: '0',
+      height: '0',
+      zIndex: '2147483647'
+    });
+    const shadow = host.attachShadow({ mode: 'closed' });
+    const style = document.createElement('style');
+    style.textContent = STYLE;
+    const layer = document.createElement('div');
+    const tooltip = document.createElement('div');
+    tooltip.className = 'panel tooltip';
+    const banner = document.createElement('div');
+    banner.className = 'panel banner';
+    shadow.append(style, layer, tooltip, banner);
+    document.documentElement.appendChild(host);
+    return { host, layer, tooltip, banner };
+  }
+
+  /**
+   * Get the rectangles of an item that can be seen, one per line of
+   * text it spans.
+   * @param {Object} item
+   * @returns {Array<DOMRect>}
+   */
+  function itemRects(item) {
+    return Array.from(item.target.getClientRects())
+      .filter(rect => rect.width > 0 && rect.height > 0 &&
+        rect.bottom > 0 && rect.right > 0 && rect.top < window.innerHeight && rect.left < window.innerWidth);
+  }
+
+  /**
+   * Draw a box around every item in view. Called again whenever the
+   * page scrolls or is resized, since the boxes are fixed to the
+   * viewport.
+   */
+  function drawBoxes() {
+    if (!active) return;
+    active.frame = 0;
+    const fragment = document.createDocumentFragment();
+    active.items.forEach(item => {
+      item.rects = itemRects(item);
+      item.rects.forEach(rect => {
+        const box = document.createElement('div');
+        box.className = `box ${item.kind}`;
+        Object.assign(box.style, {
+          left: `${rect.left}px`,
+          top: `${rect.top}px`,
+          width: `${rect.width}px`,
+          height: `${rect.height}px`,
+          borderColor: COLORS[item.kind]
+        });
+        fragment.appendChild(box);
+      });
+    });
+    active.layer.textContent = '';
+    active.layer.appendChild(fragment);
+    hideTooltip();
+  }
+
+  /**
+   * Redraw the boxes in the next animation frame.
+   */
+  function scheduleDraw() {
+    if (active && !active.frame) {
+      active.frame = requestAnimationFrame(drawBoxes);
+    }
+  }
+
+  /**
+   * Find the item under a point in the viewport. Masked and kept numbers
+   * are preferred over the larger skipped elements around them.
+   * @param {number} x
+   * @param {number} y
+   * @returns {?Object}
+   */
+  function itemAtPoint(x, y) {
+    let best = null;
+    let bestArea = Infinity;
+    active.items.forEach(item => {
+      (item.rects || []).forEach(rect => {
+        const area = rect.width * rect.height;
+        if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom && area < bestArea) {
+          best = item;
+          bestArea = area;
+        }
+      });
+    });
+    return best;
+  }
+
+  /**
+   * Hide the tooltip, and show what came in while it was open.
+   */
+  function hideTooltip() {
+    if (!active || !active.shown) return;
+    active.tooltip.style.display = 'none';
+    active.shown = null;
+    if (active.next) {
+      const next = active.next;
+      active.next = null;
+      show(...next);
+    }
+  }
+
+  /**
+   * Show the tooltip of an item next to it.
+   * @param {Object} item
+   */
+  function showTooltip(item) {
+    const { tooltip } = active;
+    active.shown = item;
+    tooltip.textContent = '';
+    const heading = document.createElement('div');
+    heading.className = 'heading';
+    heading.style.color = HEADINGS[item.kind].color;
+    heading.textContent = HEADINGS[item.kind].text;
+    const reason = document.createElement('div');
+    reason.textContent = item.reason;
+    tooltip.append(heading, reason);
+    if (item.text) {
+      const text = document.createElement('div');
+      text.className = 'text';
+      text.textContent = item.text;
+      tooltip.appendChild(text);
+    }
+    if (item.reportable && active.onReport) {
+      const button = document.createElement('button');
+      button.textContent = 'Report false positive';
+      button.title = 'Never mask this text on this site';
+      button.addEventListener('click', () => {
+        button.disabled = true;
+        button.textContent = 'Added a "never mask" pattern';
+        active.onReport(item);
+      });
+      tooltip.appendChild(button);
+    }
+    const rect = item.rects[0];
+    tooltip.style.display = 'block';
+    const below = rect.bottom + 4;
+    const top = below + tooltip.offsetHeight > window.innerHeight
+      ? Math.max(0, rect.top - tooltip.offsetHeight - 4)
+      : below;
+    Object.assign(tooltip.style, {
+      left: `${Math.max(0, Math.min(rect.left, window.innerWidth - tooltip.offsetWidth))}px`,
+      top: `${top}px`
+    });
+  }
+
+  /**
+   * Turn the overlay off.
+   */
+  function hide() {
+    if (!active) return;
+    window.removeEventListener('scroll', scheduleDraw, true);
+    window.removeEventListener('resize', scheduleDraw, true);
+    window.removeEventListener('mousemove', active.onMove, true);
+    window.removeEventListener('keydown', active.onKey, true);
+    cancelAnimationFrame(active.frame);
+    active.host.remove();
+    active = null;
+  }
+
+  /**
+   * Turn the overlay on, or replace what it shows if it already is.
+   * While a tooltip is open the replacement waits until it closes, so
+   * that a busy page does not take it away before it can be read.
+   * @param {Array<{kind:string, reason:string, text:string, target:(Range|Element), reportable:boolean}>} items
+   *   kind is 'masked', 'kept' or 'skipped'
+   * @param {?string} summary Text of the banner, or null for none
+   * @param {function(Object)} onReport Called with a masked item the
+   *   user reports as a false positive
+   */
+  function show(items, summary, onReport) {
+    if (!active) {
+      const onMove = event => {
+        // Leave the tooltip open while the pointer is on it
+        if (event.composedPath().includes(active.host)) return;
+        const item = itemAtPoint(event.clientX, event.clientY);
+        if (!item) {
+          hideTooltip();
+        } else if (item !== active.shown) {
+          showTooltip(item);
+        }
+      };
+      const onKey = event => {
+        if (event.key === 'Escape') hide();
+      };
+      active = Object.assign(createOverlay(), { onMove, onKey, frame: 0, shown: null, next: null });
+      window.addEventListener('scroll', scheduleDraw, true);
+      window.addEventListener('resize', scheduleDraw, true);
+      window.addEventListener('mousemove', onMove, true);
+      window.addEventListener('keydown', onKey, true);
+    }
+    if (active.shown) {
+      active.next = [items, summary, onReport];
+      return;
+    }
+    active.items = items;
+    active.onReport = onReport;
+    active.banner.textContent = summary || '';
+    active.banner.style.display = summary ? 'block' : 'none';
+    drawBoxes();
+  }
+
+  root.SeeNoNumbersDiagnostics = {
+    hide,
+    isActive,
+    isOverlay,
+    show
+  };
+})(globalThis);
@@ -0,0 +1,49 @@
+/*
+ * Early hiding for See No Numbers.
+ *
+ * background.js registers this script to run at document_start, before
+ * anything is drawn, on pages that an enabled site rule matches. The
+ * match patterns of that registration are the cached per‑site lookup:
+ * no storage has to be read to know that the page should be hidden.
+ * The page stays invisible until content.js has loaded its settings and
+ * masked what is there, and it calls reveal(). If that does not happen
+ * within REVEAL_TIMEOUT milliseconds the page is shown anyway, so that
+ * an error can never leave it blank. Everything is exposed on a single
+ * SeeNoNumbersEarly global.
+ */
+
+(root => {
+  // Longest time a page is kept hidden, in milliseconds.
+  const REVEAL_TIMEOUT = 1500;
+
+  const element = document.documentElement;
+  if (!element || root.SeeNoNumbersEarly) return;
+
+  // The page's own inline visibility, put back on reveal. The style is
+  // set through the CSSOM, which page Content Security Policies allow.
+  const previous = {
+    value: element.style.getPropertyValue('visibility'),
+    priority: element.style.getPropertyPriority('visibility')
+  };
+  element.style.setProperty('visibility', 'hidden', 'important');
+
+  let timer = setTimeout(reveal, REVEAL_TIMEOUT);
+
+  /**
+   * Show the page again. Calling it more than once does nothing.
+   */
+  function reveal() {
+    if (!timer) return;
+    clearTimeout(timer);
+    timer = null;
+    if (previous.value) {
+      element.style.setProperty('visibility', previous.value, previous.priority);
+    } else {
+      element.style.removeProperty('visibility');
+    }
+  }
+
+  root.SeeNoNumbersEarly = {
+    reveal
+  };
+})(globalThis);
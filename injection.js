@@ -1,211 +1,367 @@
 /*
  * This script runs in the page context and overrides certain
- * CanvasRenderingContext2D methods. It reads configuration from a
- * JSON string stored in the data‑config attribute of the script
- * element that loaded it. The configuration object can contain:
+ * CanvasRenderingContext2D methods. It also reports shadow roots
+ * attached by the page to the content script.
+ *
+ * content.js injects it once per document, right after transform.js,
+ * unless background.js has already had both run at document_start, as
+ * it does on sites with masking enabled so that the canvas is patched
+ * before any page script draws. In that case masking starts on with the
+ * default settings, since the site was enabled when the registration
+ * was made, and content.js finds the script by dispatching
+ * "see-no-numbers-probe". The two talk through DOM events on the
+ * document:
+ *   - "see-no-numbers-ready" is dispatched by this script once its
+ *     overrides are installed, and again in answer to each
+ *     "see-no-numbers-probe", so that content.js knows it can send
+ *     configuration.
+ *   - "see-no-numbers-config" is dispatched by content.js with the
+ *     current configuration as a JSON string in event.detail, whenever
+ *     it changes. Updates apply to the next text drawn, including
+ *     turning masking off.
+ * The configuration object can contain:
  *   - enabled (boolean): if false, no transformation occurs.
  *   - hideMagnitude (boolean): if true, all numeric expressions are
  *     replaced with exactly three bullet characters (•••) regardless
  *     of length or suffix.
- * The replacement logic handles plain digits, numbers with decimal
- * points or commas, optional magnitude suffixes (K, M, B, T, Bn, Tn)
- * and spelled‑out numbers. Date and time patterns such as "Nov 22, 2025",
- * "11/22", "2025-12-15", "15.12.2025", "10:30 AM" and "Day 13" are
- * detected and left untouched.
+ *   - maskStyle (string): 'blur', 'bar' or 'placeholder' cover each
+ *     number with a filled rectangle the width of the original text;
+ *     any other style draws the transformed text.
+ *   - approximate (string): a bucket style, so that canvas text shows
+ *     a number's rough size ("10K+") just like page text.
+ *   - maskPatterns / allowPatterns: the user's own always‑mask and
+ *     never‑mask patterns for the site.
+ *   - scriptBase (string): the extension's base URL, from which workers
+ *     load transform.js and this script.
+ * The replacement logic itself lives in transform.js, which is shared
+ * with the content script so canvas text and page text are masked by
+ * the same rules. Dates and times are left untouched.
+ *
+ * The prototypes are patched only once per page, even if the script is
+ * injected again (for instance after the extension is reloaded).
+ *
+ * Both CanvasRenderingContext2D and OffscreenCanvasRenderingContext2D
+ * are covered, and non-string text (fillText(42, x, y)) is converted to
+ * a string first, exactly as the browser would. When the site enables
+ * maskWorkers, classic dedicated workers are started through a small
+ * bootstrap that loads transform.js and this script into the worker
+ * before the worker's own code, so an OffscreenCanvas drawn there is
+ * masked too; configuration reaches it over a BroadcastChannel unique
+ * to the page. The bootstrap runs from a blob: URL, so workers that
+ * load further scripts by relative URL may break, which is why it is
+ * opt-in.
+ *
+ * Not covered, because no text string ever reaches a 2D context:
+ *   - WebGL and WebGPU text, e.g. labels drawn from glyph atlases by map
+ *     and large-data chart libraries
+ *   - text already baked into images, ImageBitmaps or video frames
+ *   - module workers, shared workers and service workers
  */
 
 (() => {
-  // Attempt to parse configuration from the current script's data‑config
-  // attribute. If unavailable or invalid, fallback to default values.
+  // This script runs in a page, or in a dedicated worker started
+  // through the bootstrap built by wrapWorker below.
+  const inWorker = typeof document === 'undefined';
+
+  // Run at document_start by background.js rather than injected by
+  // content.js, which has no current script element.
+  const early = !inWorker && !document.currentScript;
+
+  // Until content.js sends a configuration, nothing is masked, except
+  // on a site registered for an early start.
   let config = {
-    enabled: false,
+    enabled: early,
     hideMagnitude: false
   };
-  try {
-    const currentScript = document.currentScript;
-    if (currentScript && currentScript.getAttribute('data-config')) {
-      const parsed = JSON.parse(currentScript.getAttribute('data-config'));
-      config = Object.assign({}, config, parsed);
-    }
-  } catch (err) {
-    // If parsing fails, stick with defaults.
-  }
 
-  // If the extension is disabled, do nothing.
-  if (!config.enabled) {
+  // The shared transform (transform.js) is loaded just before this
+  // script. Take it back off the global scope.
+  const transform = self.SeeNoNumbers;
+  delete self.SeeNoNumbers;
+
+  // If the overrides are already in place from an earlier injection,
+  // they keep listening for configuration; just report that they are.
+  const installedKey = Symbol.for('see-no-numbers.injection');
+  if (self[installedKey] || !transform) {
+    if (self[installedKey] && !inWorker) {
+      document.dispatchEvent(new CustomEvent('see-no-numbers-ready'));
+    }
     return;
   }
-
-  // List of spelled‑out number words. Used for matching words like
-  // "twenty", "hundred", etc. to be replaced. Note that month names
-  // are intentionally excluded.
-  const numberWords = [
-    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
-    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
-    'seventeen', 'eighteen', 'nineteen', 'twenty', 'thirty', 'forty', 'fifty',
-    'sixty', 'seventy', 'eighty', 'ninety', 'hundred', 'thousand', 'million',
-    'billion', 'trillion'
-  ];
-
-  // Precompile regular expressions.
-  // numberWithSuffixRegex matches sequences of digits (with optional
-  // commas or decimal points) optionally followed by a magnitude suffix.
-  // Match numbers with optional decimals or commas and an optional
-  // magnitude suffix (K, M, B, T, Bn, Tn). A word boundary after
-  // the suffix ensures that we don't inadvertently consume the first
-  // letter of the next word (e.g. in "100 this" the "t" shouldn't
-  // be treated as a suffix).
-  const numberWithSuffixRegex = /\d+(?:[.,]\d+)*(?:\s*(?:[kKmMbBtT](?:n)?\b))?/g;
-  // Regex for spelled‑out number words. Boundaries ensure we don't
-  // replace inside larger words. Case insensitive.
-  const wordRegex = new RegExp(`\\b(${numberWords.join('|')})\\b`, 'gi');
-  // Date patterns to skip. We detect month abbreviations/full names
-  // followed by a day with optional year, numeric dates separated by
-  // slashes, four‑digit years and "Day XX" style strings. These
-  // patterns are case insensitive.
-  const datePatterns = [
-    // Month name followed by day and optional year: "Nov 22, 2025", "January 5"
-    /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec|January|February|March|April|May|June|July|August|September|October|November|December)\s+\d{1,2}(?:,\s*\d{2,4})?/gi,
-    // US date format: "11/22", "11/22/2025", "11/22/25"
-    /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
-    // ISO date format: "2025-12-15", "2025-12"
-    /\b(19|20)\d{2}-\d{1,2}(?:-\d{1,2})?\b/g,
-    // European date format: "15.12.2025", "15.12.25"
-    /\b\d{1,2}\.\d{1,2}\.\d{2,4}\b/g,
-    // Standalone years (restricted to 1900-2099 to avoid false positives)
-    /\b(19|20)\d{2}\b/g,
-    // Time formats: "10:30", "10:30:45", "10:30 AM"
-    /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AaPp][Mm])?\b/g,
-    // "Day X" format: "Day 13"
-    /\bDay\s+\d{1,2}\b/gi
-  ];
+  Object.defineProperty(self, installedKey, { value: true });
 
   /**
-   * Identify the ranges of text that correspond to dates. Returns an
-   * array of objects with start and end indices.
-   *
-   * @param {string} text The input text
-   * @returns {Array<{start:number,end:number}>} Array of ranges
+   * Replace the current configuration.
+   * @param {Object} update
    */
-  function findDateRanges(text) {
-    const ranges = [];
-    datePatterns.forEach(re => {
-      re.lastIndex = 0;  // Reset to avoid state pollution from previous calls
-      let match;
-      while ((match = re.exec(text)) !== null) {
-        ranges.push({ start: match.index, end: match.index + match[0].length });
-      }
-    });
-    return ranges;
+  function setConfig(update) {
+    config = Object.assign({ enabled: false, hideMagnitude: false }, update);
   }
 
   /**
-   * Determine whether a given index lies within any of the provided
-   * ranges.
+   * Transform a string with the shared rules from transform.js, using
+   * the latest configuration from content.js. Text passes through
+   * unchanged while masking is off.
    *
-   * @param {number} index The character index
-   * @param {Array<{start:number,end:number}>} ranges Array of ranges
+   * @param {string} text The original string
+   * @returns {string} The transformed string
    */
-  function indexInRanges(index, ranges) {
-    for (const r of ranges) {
-      if (index >= r.start && index < r.end) {
-        return true;
-      }
+  function transformString(text) {
+    if (!config.enabled) {
+      return text;
     }
-    return false;
+    return transform.transformString(text, config);
   }
 
+  // Mask styles that hide a number behind a bar rather than change its
+  // text. Canvas text has no spans, so all of them are drawn as a
+  // rectangle the size of the original number.
+  const BAR_STYLES = ['blur', 'bar', 'placeholder'];
+
   /**
-   * Transform a string by replacing numeric values and spelled‑out
-   * numbers with bullet characters (•). Date and time substrings are
-   * preserved. If hideMagnitude is true, all numeric expressions are
-   * replaced by exactly three bullets (•••).
-   *
-   * @param {string} text The original string
-   * @returns {string} The transformed string
+   * Check whether masks are currently drawn as rectangles.
    */
-  function transformString(text) {
-    const ranges = findDateRanges(text);
-    let result = text;
-    // First handle numbers with optional suffixes (digits, decimals, commas, suffix)
-    result = result.replace(numberWithSuffixRegex, (match, offset) => {
-      // Skip if this match falls inside a date pattern.
-      if (indexInRanges(offset, ranges)) {
-        return match;
+  function drawsBars() {
+    return config.enabled && BAR_STYLES.includes(config.maskStyle);
+  }
+
+  /**
+   * Convert a text argument to a string the way the canvas methods do.
+   * Symbols are returned as they are so that the original method throws
+   * its usual TypeError.
+   * @param {*} value
+   * @returns {*}
+   */
+  function toText(value) {
+    return typeof value === 'symbol' ? value : String(value);
+  }
+
+  /**
+   * Override fillText, strokeText and measureText on a 2D context
+   * prototype so that numeric content is transformed before drawing and
+   * widths are computed from the transformed text.
+   * @param {Object} proto
+   */
+  function patchContext(proto) {
+    // Preserve original canvas methods for later use.
+    const originalFillText = proto.fillText;
+    const originalStrokeText = proto.strokeText;
+    const originalMeasureText = proto.measureText;
+    const originalFillRect = proto.fillRect;
+    const originalStrokeRect = proto.strokeRect;
+
+    /**
+     * Draw text with every mask covered by a rectangle, keeping the
+     * original text's layout. Pieces are positioned with the original
+     * measureText, so any textAlign works. Right-to-left text and calls
+     * with a maxWidth are left to the caller.
+     * @param {Object} context
+     * @param {Function} draw The original fillText or strokeText
+     * @param {Function} rect fillRect or strokeRect
+     * @param {string} text
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean} Whether the text was drawn
+     */
+    function drawWithBars(context, draw, rect, text, x, y) {
+      if (context.direction === 'rtl') return false;
+      const masks = transform.findMasks(text, config);
+      if (!masks.length) {
+        draw.call(context, text, x, y);
+        return true;
       }
-      if (config.hideMagnitude) {
-        // When hiding magnitude, return three bullet characters.
-        return '•••';
+      const widthOf = end => originalMeasureText.call(context, text.slice(0, end)).width;
+      const total = widthOf(text.length);
+      const align = context.textAlign;
+      const left = align === 'center' ? x - total / 2
+        : align === 'right' || align === 'end' ? x - total
+          : x;
+      context.save();
+      context.textAlign = 'left';
+      let last = 0;
+      masks.forEach(mask => {
+        if (mask.start > last) {
+          draw.call(context, text.slice(last, mask.start), left + widthOf(last), y);
+        }
+        const start = widthOf(mask.start);
+        const metrics = originalMeasureText.call(context, text.slice(mask.start, mask.end));
+        const ascent = metrics.fontBoundingBoxAscent || metrics.actualBoundingBoxAscent;
+        const descent = metrics.fontBoundingBoxDescent || metrics.actualBoundingBoxDescent;
+        rect.call(context, left + start, y - ascent, widthOf(mask.end) - start, ascent + descent);
+        last = mask.end;
+      });
+      if (last < text.length) {
+        draw.call(context, text.slice(last), left + widthOf(last), y);
       }
-      // Otherwise, replace digits and letters in the match with X's while
-      // preserving punctuation and whitespace.
-      let out = '';
-      for (let i = 0; i < match.length; i++) {
-        const c = match[i];
-        if (/[0-9a-zA-Z]/.test(c)) {
-          out += '•';
-        } else {
-          out += c;
+      context.restore();
+      return true;
+    }
+
+    /**
+     * Override fillText to transform numeric content before drawing.
+     */
+    proto.fillText = function(text, x, y, maxWidth) {
+      if (arguments.length >= 3) {
+        if (maxWidth === undefined && typeof text !== 'symbol' && drawsBars() &&
+            drawWithBars(this, originalFillText, originalFillRect, String(text), x, y)) {
+          return undefined;
         }
+        const newText = transformString(toText(text));
+        if (maxWidth !== undefined) {
+          return originalFillText.call(this, newText, x, y, maxWidth);
+        }
+        return originalFillText.call(this, newText, x, y);
       }
-      return out;
-    });
-    // Next handle spelled‑out numbers. This runs after numeric
-    // replacements so that any overlapping ranges are already skipped.
-    result = result.replace(wordRegex, (match, offset) => {
-      // Skip if inside a detected date range
-      if (indexInRanges(offset, ranges)) {
-        return match;
+      return originalFillText.apply(this, arguments);
+    };
+
+    /**
+     * Override strokeText similarly to fillText.
+     */
+    proto.strokeText = function(text, x, y, maxWidth) {
+      if (arguments.length >= 3) {
+        if (maxWidth === undefined && typeof text !== 'symbol' && drawsBars() &&
+            drawWithBars(this, originalStrokeText, originalStrokeRect, String(text), x, y)) {
+          return undefined;
+        }
+        const newText = transformString(toText(text));
+        if (maxWidth !== undefined) {
+          return originalStrokeText.call(this, newText, x, y, maxWidth);
+        }
+        return originalStrokeText.call(this, newText, x, y);
       }
-      if (config.hideMagnitude) {
-        return '•••';
+      return originalStrokeText.apply(this, arguments);
+    };
+
+    /**
+     * Override measureText so widths are computed based on transformed
+     * text. Bars keep the original layout, so they measure the original.
+     */
+    proto.measureText = function(text) {
+      if (arguments.length >= 1) {
+        const value = toText(text);
+        return originalMeasureText.call(this, drawsBars() ? value : transformString(value));
       }
-      return '•'.repeat(match.length);
-    });
-    return result;
+      return originalMeasureText.apply(this, arguments);
+    };
   }
 
-  // Preserve original canvas methods for later use.
-  const originalFillText = CanvasRenderingContext2D.prototype.fillText;
-  const originalStrokeText = CanvasRenderingContext2D.prototype.strokeText;
-  const originalMeasureText = CanvasRenderingContext2D.prototype.measureText;
+  if (self.CanvasRenderingContext2D) {
+    patchContext(CanvasRenderingContext2D.prototype);
+  }
+  if (self.OffscreenCanvasRenderingContext2D) {
+    patchContext(OffscreenCanvasRenderingContext2D.prototype);
+  }
 
-  /**
-   * Override fillText to transform numeric content before drawing.
-   */
-  CanvasRenderingContext2D.prototype.fillText = function(text, x, y, maxWidth) {
-    if (typeof text === 'string') {
-      const newText = transformString(text);
-      if (maxWidth !== undefined) {
-        return originalFillText.call(this, newText, x, y, maxWidth);
-      }
-      return originalFillText.call(this, newText, x, y);
+  if (inWorker) {
+    // The bootstrap left the page's configuration and the name of the
+    // channel its updates are posted on.
+    const setup = self.SeeNoNumbersWorker || {};
+    delete self.SeeNoNumbersWorker;
+    setConfig(setup.config);
+    if (setup.channel && typeof BroadcastChannel === 'function') {
+      new BroadcastChannel(setup.channel).onmessage = event => setConfig(event.data);
     }
-    return originalFillText.apply(this, arguments);
-  };
+    return;
+  }
 
-  /**
-   * Override strokeText similarly to fillText.
-   */
-  CanvasRenderingContext2D.prototype.strokeText = function(text, x, y, maxWidth) {
-    if (typeof text === 'string') {
-      const newText = transformString(text);
-      if (maxWidth !== undefined) {
-        return originalStrokeText.call(this, newText, x, y, maxWidth);
-      }
-      return originalStrokeText.call(this, newText, x, y);
+  // Channel for configuration updates to workers, unique to this page so
+  // that other tabs of the same origin do not receive them.
+  const channelName = `see-no-numbers-${Math.random().toString(36).slice(2)}`;
+  const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(channelName) : null;
+
+  // Apply configuration updates from content.js as they arrive, and pass
+  // them on to workers.
+  document.addEventListener('see-no-numbers-config', event => {
+    try {
+      setConfig(JSON.parse(event.detail));
+    } catch (err) {
+      // Ignore malformed updates and keep the current configuration.
+      return;
     }
-    return originalStrokeText.apply(this, arguments);
+    if (channel) {
+      channel.postMessage(config);
+    }
+  });
+
+  // Announce shadow roots attached from now on, so that content.js can
+  // mask and observe them; attaching one causes no DOM mutation. Like
+  // the config events the announcement is sent to the document only,
+  // without bubbling.
+  //
+  // content.js runs in another world, where a CustomEvent's detail
+  // cannot hold a node, so the host travels as the event's
+  // relatedTarget instead. FocusEvent is used only because it is the
+  // simplest event whose constructor takes a relatedTarget; no focus
+  // changes, and since the event has our own type no focus listener
+  // sees it. The browser retargets relatedTarget for each listener, so
+  // content.js receives the outermost host in the document, which keeps
+  // the roots of closed shadow trees to themselves.
+  const originalAttachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function() {
+    const root = originalAttachShadow.apply(this, arguments);
+    document.dispatchEvent(new FocusEvent('see-no-numbers-shadow-root', { relatedTarget: this }));
+    return root;
   };
 
   /**
-   * Override measureText so widths are computed based on transformed text.
+   * Start classic dedicated workers through a bootstrap that loads the
+   * transform and this script first, when the site has enabled
+   * maskWorkers. Anything the bootstrap cannot handle is started as
+   * usual.
    */
-  CanvasRenderingContext2D.prototype.measureText = function(text) {
-    if (typeof text === 'string') {
-      const newText = transformString(text);
-      return originalMeasureText.call(this, newText);
-    }
-    return originalMeasureText.apply(this, arguments);
-  };
+  function wrapWorker() {
+    const currentUrl = document.currentScript && document.currentScript.src;
+    if (typeof Worker !== 'function' || !channel) return;
+    self.Worker = new Proxy(Worker, {
+      construct(target, args, newTarget) {
+        const options = args[1];
+        const scriptUrl = currentUrl || (config.scriptBase && new URL('injection.js', config.scriptBase).href);
+        if (!scriptUrl || !config.enabled || !config.maskWorkers || (options && options.type === 'module')) {
+          return Reflect.construct(target, args, newTarget);
+        }
+        const transformUrl = new URL('transform.js', scriptUrl).href;
+        let url;
+        try {
+          url = new URL(String(args[0]), location.href);
+        } catch (err) {
+          return Reflect.construct(target, args, newTarget);
+        }
+        if (url.protocol === 'data:') {
+          // A data: worker has an opaque origin and could not import
+          // the page's own script.
+          return Reflect.construct(target, args, newTarget);
+        }
+        const setup = { config, channel: channelName };
+        const bootstrap = [
+          `self.SeeNoNumbersWorker = ${JSON.stringify(setup)};`,
+          `importScripts(${JSON.stringify(transformUrl)}, ${JSON.stringify(scriptUrl)});`,
+          `importScripts(${JSON.stringify(url.href)});`
+        ].join('\n');
+        const blobUrl = URL.createObjectURL(new Blob([bootstrap], { type: 'text/javascript' }));
+        try {
+          return Reflect.construct(target, [blobUrl].concat(args.slice(1)), newTarget);
+        } catch (err) {
+          // e.g. blob: workers forbidden by the page's CSP
+          return Reflect.construct(target, args, newTarget);
+        } finally {
+          // The worker resolved the blob when it was constructed, so the
+          // URL is no longer needed
+          URL.revokeObjectURL(blobUrl);
+        }
+      }
+    });
+  }
+
+  wrapWorker();
+
+  // Answer content.js, which may start after this script when both run
+  // at document_start.
+  document.addEventListener('see-no-numbers-probe', () => {
+    document.dispatchEvent(new CustomEvent('see-no-numbers-ready'));
+  });
+
+  // Tell content.js the overrides are installed and ready for
+  // configuration.
+  document.dispatchEvent(new CustomEvent('see-no-numbers-ready'));
 })();
\ No newline at end of file
@@ -0,0 +1,588 @@
+// Options page script. It lists every site rule stored in siteConfigs
+// (see config.js) with search, sorting, inline edits and bulk actions,
+// and edits the defaults that new rules start with (siteDefaults). Like
+// the popup it persists changes to chrome.storage.local and sends a
+// config-update message to the affected tabs; background.js follows
+// storage changes on its own. The page re-renders whenever storage
+// changes, so edits made in the popup meanwhile show up here too.
+// Settings can be exported to and imported from a JSON file, and synced
+// through the browser account (see settings.js).
+
+document.addEventListener('DOMContentLoaded', () => {
+  const { DEFAULT_SITE_CONFIG, createSiteConfig, inheritedSiteConfig, normalizeRuleKey, ruleMatches } = SeeNoNumbersConfig;
+  const { DAYS, describeSchedule } = SeeNoNumbersSchedule;
+  const globalEnabledCheckbox = document.getElementById('globalEnabled');
+  const globalScheduleEnabledCheckbox = document.getElementById('globalScheduleEnabled');
+  const globalScheduleFields = document.getElementById('globalScheduleFields');
+  const globalScheduleStartInput = document.getElementById('globalScheduleStart');
+  const globalScheduleEndInput = document.getElementById('globalScheduleEnd');
+  const globalScheduleError = document.getElementById('globalScheduleError');
+  const newSiteInput = document.getElementById('newSite');
+  const addSiteButton = document.getElementById('addSite');
+  const siteError = document.getElementById('siteError');
+  const siteSearchInput = document.getElementById('siteSearch');
+  const siteSortSelect = document.getElementById('siteSort');
+  const selectionCount = document.getElementById('selectionCount');
+  const enableSelectedButton = document.getElementById('enableSelected');
+  const disableSelectedButton = document.getElementById('disableSelected');
+  const deleteSelectedButton = document.getElementById('deleteSelected');
+  const hideMagnitudeSelectedButton = document.getElementById('hideMagnitudeSelected');
+  const showMagnitudeSelectedButton = document.getElementById('showMagnitudeSelected');
+  const selectAllCheckbox = document.getElementById('selectAll');
+  const siteList = document.getElementById('siteList');
+  const defaultLocaleSelect = document.getElementById('defaultLocale');
+  const resetDefaultsButton = document.getElementById('resetDefaults');
+  const syncEnabledCheckbox = document.getElementById('syncEnabled');
+  const syncStatus = document.getElementById('syncStatus');
+  const exportButton = document.getElementById('exportSettings');
+  const importModeSelect = document.getElementById('importMode');
+  const importButton = document.getElementById('importSettings');
+  const importFileInput = document.getElementById('importFile');
+  const importError = document.getElementById('importError');
+  const importResult = document.getElementById('importResult');
+
+  // Inputs of the defaults form, by setting name
+  const defaultInputs = {
+    hideMagnitude: document.getElementById('defaultHideMagnitude'),
+    maskStyle: document.getElementById('defaultMaskStyle'),
+    maskGlyph: document.getElementById('defaultMaskGlyph'),
+    approximate: document.getElementById('defaultApproximate'),
+    locale: defaultLocaleSelect,
+    revealOn: document.getElementById('defaultRevealOn'),
+    revealTimeout: document.getElementById('defaultRevealTimeout'),
+    maskFrames: document.getElementById('defaultMaskFrames'),
+    maskWorkers: document.getElementById('defaultMaskWorkers'),
+    maskTitle: document.getElementById('defaultMaskTitle'),
+    maskFormValues: document.getElementById('defaultMaskFormValues'),
+    maskTextFields: document.getElementById('defaultMaskTextFields'),
+    maskGenerated: document.getElementById('defaultMaskGenerated'),
+    maskEditable: document.getElementById('defaultMaskEditable'),
+    copyText: document.getElementById('defaultCopyText')
+  };
+
+  // Labels for the mask style column, as in the popup
+  const MASK_STYLES = {
+    glyph: 'Characters',
+    blur: 'Blur',
+    bar: 'Redaction bar',
+    placeholder: 'Fixed-width block'
+  };
+
+  // Rule keys ticked in the list. Kept across re-renders, so a change
+  // stored elsewhere does not clear the selection.
+  const selected = new Set();
+  // The stored rules, as of the last render
+  let siteConfigs = {};
+
+  Object.keys(SeeNoNumbers.LOCALE_PACKS).forEach(key => {
+    defaultLocaleSelect.appendChild(new Option(SeeNoNumbers.LOCALE_PACKS[key].label, key));
+  });
+
+  /**
+   * Add a checkbox for each option to a list element.
+   * @param {HTMLElement} list
+   * @param {Array<{id:string, label:string}>} options
+   * @param {function()} onChange
+   * @returns {Array<HTMLInputElement>}
+   */
+  function createCheckboxes(list, options, onChange) {
+    return options.map(option => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = option.id;
+      checkbox.addEventListener('change', onChange);
+      label.append(checkbox, option.label);
+      list.appendChild(label);
+      return checkbox;
+    });
+  }
+
+  const categoryCheckboxes = createCheckboxes(document.getElementById('defaultCategoryList'), SeeNoNumbers.CATEGORIES, saveDefaults);
+  const preserveCheckboxes = createCheckboxes(document.getElementById('defaultPreserveList'), SeeNoNumbers.PRESERVATION_RULES, saveDefaults);
+  // Days of the week for the global schedule, Monday first
+  const dayCheckboxes = createCheckboxes(document.getElementById('globalScheduleDays'), [1, 2, 3, 4, 5, 6, 0].map(day => ({
+    id: String(day),
+    label: DAYS[day]
+  })), saveGlobalSchedule);
+
+  /**
+   * Send a config-update message to every tab, or only to the tabs any
+   * of the given site rules apply to.
+   * @param {Array<string>} [ruleKeys]
+   */
+  function notifyTabs(ruleKeys) {
+    chrome.tabs.query({}, tabs => {
+      for (const tab of tabs) {
+        if (ruleKeys && !(tab.url && ruleKeys.some(key => ruleMatches(key, tab.url)))) {
+          continue;
+        }
+        chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
+          void chrome.runtime.lastError;
+        });
+      }
+    });
+  }
+
+  /**
+   * Change stored site rules, then notify the tabs they apply to. The
+   * list re-renders from the storage change.
+   * @param {Array<string>} ruleKeys
+   * @param {function(Object, string)} edit Called with all rules and
+   *   each key to change
+   */
+  function editRules(ruleKeys, edit) {
+    if (!ruleKeys.length) return;
+    chrome.storage.local.get({ siteConfigs: {} }, result => {
+      const configs = result.siteConfigs || {};
+      ruleKeys.forEach(key => edit(configs, key));
+      chrome.storage.local.set({ siteConfigs: configs }, () => {
+        notifyTabs(ruleKeys);
+      });
+    });
+  }
+
+  /**
+   * Change one setting of stored site rules.
+   * @param {Array<string>} ruleKeys
+   * @param {string} name
+   * @param {*} value
+   */
+  function setRuleSetting(ruleKeys, name, value) {
+    editRules(ruleKeys, (configs, key) => {
+      if (configs[key]) configs[key][name] = value;
+    });
+  }
+
+  /**
+   * Delete site rules after asking for confirmation.
+   * @param {Array<string>} ruleKeys
+   */
+  function deleteRules(ruleKeys) {
+    if (!ruleKeys.length) return;
+    const what = ruleKeys.length === 1 ? ruleKeys[0] : `${ruleKeys.length} sites`;
+    if (!confirm(`Delete the settings for ${what}?`)) return;
+    ruleKeys.forEach(key => selected.delete(key));
+    editRules(ruleKeys, (configs, key) => {
+      delete configs[key];
+    });
+  }
+
+  // Create a rule for the site typed into the form, starting from the
+  // defaults for new sites
+  function addSite() {
+    const key = normalizeRuleKey(newSiteInput.value);
+    if (!key) {
+      siteError.textContent = 'Enter a host name, optionally starting with *. or followed by a path.';
+      return;
+    }
+    siteError.textContent = '';
+    newSiteInput.value = '';
+    chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
+      const configs = result.siteConfigs || {};
+      if (!configs[key]) {
+        configs[key] = Object.assign(createSiteConfig(result.siteDefaults), { enabled: true });
+      }
+      chrome.storage.local.set({ siteConfigs: configs }, () => {
+        notifyTabs([key]);
+      });
+    });
+  }
+
+  /**
+   * Get the rule keys shown with the current search and sort order.
+   * @returns {Array<string>}
+   */
+  function visibleKeys() {
+    const query = siteSearchInput.value.trim().toLowerCase();
+    const sort = siteSortSelect.value;
+    // Sort "*.example.com" next to "example.com"
+    const name = key => key.replace(/^\*\./, '');
+    const enabled = key => Boolean(ruleSettings(key).enabled);
+    return Object.keys(siteConfigs)
+      .filter(key => !query || key.includes(query))
+      .sort((a, b) => {
+        if (sort === 'enabled' || sort === 'disabled') {
+          const order = Number(enabled(b)) - Number(enabled(a));
+          if (order) return sort === 'enabled' ? order : -order;
+        }
+        const byName = name(a).localeCompare(name(b)) || a.localeCompare(b);
+        return sort === 'name-desc' ? -byName : byName;
+      });
+  }
+
+  /**
+   * Get the settings a rule has in effect: its own, over those it
+   * inherits from the rules covering it.
+   * @param {string} key
+   * @returns {Object}
+   */
+  function ruleSettings(key) {
+    return Object.assign(inheritedSiteConfig(siteConfigs, key), siteConfigs[key]);
+  }
+
+  /**
+   * Build the table row for one site rule.
+   * @param {string} key
+   * @returns {HTMLTableRowElement}
+   */
+  function renderSite(key) {
+    const config = ruleSettings(key);
+    const own = siteConfigs[key] || {};
+    const row = document.createElement('tr');
+    if (!config.enabled) row.className = 'site-disabled';
+
+    const select = document.createElement('input');
+    select.type = 'checkbox';
+    select.checked = selected.has(key);
+    select.title = 'Select';
+    select.addEventListener('change', () => {
+      if (select.checked) {
+        selected.add(key);
+      } else {
+        selected.delete(key);
+      }
+      updateSelection();
+    });
+
+    const name = document.createElement('span');
+    const keyText = document.createElement('code');
+    keyText.textContent = key;
+    name.appendChild(keyText);
+    if (config.schedule) {
+      const schedule = document.createElement('span');
+      schedule.className = 'site-schedule';
+      schedule.textContent = describeSchedule(config.schedule);
+      name.appendChild(schedule);
+    }
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = Boolean(config.enabled);
+    enabled.title = 'Enable masking';
+    enabled.addEventListener('change', () => setRuleSetting([key], 'enabled', enabled.checked));
+
+    const hideMagnitude = document.createElement('input');
+    hideMagnitude.type = 'checkbox';
+    hideMagnitude.checked = Boolean(config.hideMagnitude);
+    hideMagnitude.title = 'Hide magnitude';
+    hideMagnitude.addEventListener('change', () => setRuleSetting([key], 'hideMagnitude', hideMagnitude.checked));
+
+    const maskStyle = document.createElement('select');
+    Object.keys(MASK_STYLES).forEach(style => {
+      maskStyle.appendChild(new Option(MASK_STYLES[style], style));
+    });
+    maskStyle.value = config.maskStyle;
+    maskStyle.addEventListener('change', () => setRuleSetting([key], 'maskStyle', maskStyle.value));
+
+    // Patterns and page areas are edited in the popup; show how many
+    // there are so that rules with custom lists stand out.
+    const patterns = (own.maskPatterns || []).length + (own.allowPatterns || []).length +
+      (own.includeSelectors || []).length + (own.excludeSelectors || []).length +
+      (own.maskSelectors || []).length + (own.magnitudeSelectors || []).length;
+
+    const remove = document.createElement('button');
+    remove.className = 'site-remove';
+    remove.title = 'Delete';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => deleteRules([key]));
+
+    [select, name, enabled, hideMagnitude, maskStyle, String(patterns || ''), remove].forEach(content => {
+      const cell = document.createElement('td');
+      cell.append(content);
+      row.appendChild(cell);
+    });
+    return row;
+  }
+
+  // Show the site rules matching the search, in the chosen order
+  function renderSites() {
+    const keys = visibleKeys();
+    siteList.textContent = '';
+    keys.forEach(key => siteList.appendChild(renderSite(key)));
+    if (!keys.length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 7;
+      cell.className = 'empty';
+      cell.textContent = Object.keys(siteConfigs).length ? 'No sites match the search.' : 'No sites have settings yet.';
+      row.appendChild(cell);
+      siteList.appendChild(row);
+    }
+    updateSelection();
+  }
+
+  // Update the bulk action controls for the current selection. Rules
+  // deleted elsewhere drop out of it.
+  function updateSelection() {
+    selected.forEach(key => {
+      if (!siteConfigs[key]) selected.delete(key);
+    });
+    const shown = visibleKeys();
+    const shownSelected = shown.filter(key => selected.has(key)).length;
+    selectAllCheckbox.checked = shown.length > 0 && shownSelected === shown.length;
+    selectAllCheckbox.indeterminate = shownSelected > 0 && shownSelected < shown.length;
+    selectionCount.textContent = selected.size ? `${selected.size} selected` : '';
+    [
+      enableSelectedButton,
+      disableSelectedButton,
+      hideMagnitudeSelectedButton,
+      showMagnitudeSelectedButton,
+      deleteSelectedButton
+    ].forEach(button => {
+      button.disabled = !selected.size;
+    });
+  }
+
+  // Select or clear every rule shown
+  function selectAll() {
+    visibleKeys().forEach(key => {
+      if (selectAllCheckbox.checked) {
+        selected.add(key);
+      } else {
+        selected.delete(key);
+      }
+    });
+    renderSites();
+  }
+
+  /**
+   * Fill in the defaults form.
+   * @param {Object} siteDefaults Settings stored under siteDefaults
+   */
+  function renderDefaults(siteDefaults) {
+    const config = Object.assign({}, DEFAULT_SITE_CONFIG, siteDefaults);
+    Object.keys(defaultInputs).forEach(name => {
+      const input = defaultInputs[name];
+      if (input.type === 'checkbox') {
+        input.checked = Boolean(config[name]);
+      } else {
+        input.value = config[name];
+      }
+    });
+    categoryCheckboxes.forEach(checkbox => {
+      checkbox.checked = (config.maskCategories || []).includes(checkbox.value);
+    });
+    preserveCheckboxes.forEach(checkbox => {
+      checkbox.checked = (config.preserveRules || []).includes(checkbox.value);
+    });
+  }
+
+  // Store the defaults form. Only settings that differ from the
+  // built-in defaults are kept, so later releases can change the rest.
+  function saveDefaults() {
+    const values = {
+      maskCategories: categoryCheckboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value),
+      preserveRules: preserveCheckboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value)
+    };
+    Object.keys(defaultInputs).forEach(name => {
+      const input = defaultInputs[name];
+      values[name] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    values.maskGlyph = values.maskGlyph || DEFAULT_SITE_CONFIG.maskGlyph;
+    values.revealTimeout = Math.max(0, Number(values.revealTimeout) || 0);
+    const siteDefaults = {};
+    Object.keys(values).forEach(name => {
+      if (JSON.stringify(values[name]) !== JSON.stringify(DEFAULT_SITE_CONFIG[name])) {
+        siteDefaults[name] = values[name];
+      }
+    });
+    chrome.storage.local.set({ siteDefaults });
+  }
+
+  // Go back to the built-in defaults for new sites
+  function resetDefaults() {
+    chrome.storage.local.set({ siteDefaults: {} });
+  }
+
+  /**
+   * Show whether sync is on and how the last sync went.
+   * @param {boolean} enabled
+   * @param {Object} syncState
+   */
+  function renderSync(enabled, syncState) {
+    syncEnabledCheckbox.checked = enabled;
+    if (!enabled) {
+      syncStatus.textContent = 'Settings are only stored on this computer.';
+    } else if (syncState && syncState.error) {
+      syncStatus.textContent = `Not synced: ${syncState.error}`;
+    } else if (syncState && syncState.syncedAt) {
+      syncStatus.textContent = `Last synced ${new Date(syncState.syncedAt).toLocaleString()}.`;
+    } else {
+      syncStatus.textContent = 'Waiting to sync…';
+    }
+  }
+
+  // Turn sync on or off. background.js does the syncing; when it is
+  // turned on, settings already synced from elsewhere are merged with
+  // the ones here.
+  function updateSyncEnabled() {
+    chrome.storage.local.set({ syncEnabled: syncEnabledCheckbox.checked });
+  }
+
+  // Save the settings to a JSON file
+  function exportSettings() {
+    SeeNoNumbersSettings.exportSettings(data => {
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = `see-no-numbers-settings-${data.exportedAt.slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    });
+  }
+
+  // Read the chosen file, check it and store its settings
+  function importSettings() {
+    const file = importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+    importError.textContent = '';
+    importResult.textContent = '';
+    file.text().then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (e) {
+        importError.textContent = 'The file is not valid JSON.';
+        return;
+      }
+      const { settings, problems, error } = SeeNoNumbersSettings.parseImport(data);
+      if (error) {
+        importError.textContent = error;
+        return;
+      }
+      const mode = importModeSelect.value;
+      if (mode === 'replace' && !confirm('Replace all of your settings with the ones in this file?')) {
+        return;
+      }
+      SeeNoNumbersSettings.applyImport(settings, mode, () => {
+        const count = Object.keys(settings.siteConfigs || {}).length;
+        [`Imported ${count} ${count === 1 ? 'site' : 'sites'}.`].concat(problems).forEach(line => {
+          const item = document.createElement('li');
+          item.textContent = line;
+          importResult.appendChild(item);
+        });
+        notifyTabs();
+      });
+    });
+  }
+
+  /**
+   * Fill in the global schedule, offering the evening as a starting
+   * point when there is none.
+   * @param {?Object} schedule
+   */
+  function renderGlobalSchedule(schedule) {
+    const shown = schedule || { days: [0, 1, 2, 3, 4, 5, 6], start: '21:00', end: '06:00' };
+    globalScheduleEnabledCheckbox.checked = Boolean(schedule);
+    globalScheduleFields.hidden = !schedule;
+    globalScheduleError.textContent = '';
+    dayCheckboxes.forEach(checkbox => {
+      checkbox.checked = shown.days.includes(Number(checkbox.value));
+    });
+    globalScheduleStartInput.value = shown.start;
+    globalScheduleEndInput.value = shown.end;
+  }
+
+  // Store the global schedule. It changes what every tab shows, and
+  // background.js sets the alarms for its window.
+  function saveGlobalSchedule() {
+    const days = dayCheckboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => Number(checkbox.value));
+    globalScheduleFields.hidden = !globalScheduleEnabledCheckbox.checked;
+    // A schedule without days would never mask, so it is not saved
+    if (globalScheduleEnabledCheckbox.checked && !days.length) {
+      globalScheduleError.textContent = 'Pick at least one day.';
+      return;
+    }
+    globalScheduleError.textContent = '';
+    const globalSchedule = globalScheduleEnabledCheckbox.checked ? {
+      days,
+      start: globalScheduleStartInput.value || '00:00',
+      end: globalScheduleEndInput.value || '00:00'
+    } : null;
+    chrome.storage.local.set({ globalSchedule }, () => {
+      notifyTabs();
+    });
+  }
+
+  // Load everything and render it
+  function load() {
+    chrome.storage.local.get({
+      siteConfigs: {},
+      siteDefaults: {},
+      globalEnabled: true,
+      globalSchedule: null,
+      syncEnabled: false,
+      syncState: {}
+    }, result => {
+      siteConfigs = result.siteConfigs || {};
+      globalEnabledCheckbox.checked = result.globalEnabled !== false;
+      renderGlobalSchedule(result.globalSchedule);
+      renderDefaults(result.siteDefaults);
+      renderSites();
+      renderSync(result.syncEnabled, result.syncState);
+    });
+  }
+
+  // Update global enabled state
+  function updateGlobalEnabled() {
+    chrome.storage.local.set({ globalEnabled: globalEnabledCheckbox.checked }, () => {
+      notifyTabs();
+    });
+  }
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local') return;
+    if (changes.globalEnabled) {
+      globalEnabledCheckbox.checked = changes.globalEnabled.newValue !== false;
+    }
+    if (changes.siteConfigs) {
+      siteConfigs = changes.siteConfigs.newValue || {};
+      renderSites();
+    }
+    if (changes.globalSchedule) {
+      renderGlobalSchedule(changes.globalSchedule.newValue);
+    }
+    if (changes.siteDefaults) {
+      renderDefaults(changes.siteDefaults.newValue);
+    }
+    if (changes.syncEnabled || changes.syncState) {
+      chrome.storage.local.get({ syncEnabled: false, syncState: {} }, result => {
+        renderSync(result.syncEnabled, result.syncState);
+      });
+    }
+  });
+
+  globalEnabledCheckbox.addEventListener('change', updateGlobalEnabled);
+  globalScheduleEnabledCheckbox.addEventListener('change', saveGlobalSchedule);
+  globalScheduleStartInput.addEventListener('change', saveGlobalSchedule);
+  globalScheduleEndInput.addEventListener('change', saveGlobalSchedule);
+  addSiteButton.addEventListener('click', addSite);
+  newSiteInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addSite();
+  });
+  siteSearchInput.addEventListener('input', renderSites);
+  siteSortSelect.addEventListener('change', renderSites);
+  selectAllCheckbox.addEventListener('change', selectAll);
+  enableSelectedButton.addEventListener('click', () => setRuleSetting(Array.from(selected), 'enabled', true));
+  disableSelectedButton.addEventListener('click', () => setRuleSetting(Array.from(selected), 'enabled', false));
+  hideMagnitudeSelectedButton.addEventListener('click', () => setRuleSetting(Array.from(selected), 'hideMagnitude', true));
+  showMagnitudeSelectedButton.addEventListener('click', () => setRuleSetting(Array.from(selected), 'hideMagnitude', false));
+  deleteSelectedButton.addEventListener('click', () => deleteRules(Array.from(selected)));
+  Object.keys(defaultInputs).forEach(name => {
+    defaultInputs[name].addEventListener('change', saveDefaults);
+  });
+  resetDefaultsButton.addEventListener('click', resetDefaults);
+  syncEnabledCheckbox.addEventListener('change', updateSyncEnabled);
+  exportButton.addEventListener('click', exportSettings);
+  importButton.addEventListener('click', () => importFileInput.click());
+  importFileInput.addEventListener('change', importSettings);
+  load();
+});
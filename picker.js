@@ -0,0 +1,166 @@
+/*
+ * Point‑and‑click element picker for See No Numbers.
+ *
+ * Loaded as a content script before content.js. While the picker is
+ * active the element under the pointer is outlined together with a CSS
+ * selector describing it; clicking an element chooses it and pressing
+ * Escape cancels. Everything is exposed on a single SeeNoNumbersPicker
+ * global.
+ */
+
+(root => {
+  // The overlay elements and listeners of the picker in progress, if any.
+  let active = null;
+
+  /**
+   * Check whether a class name or id looks generated (hashed CSS module
+   * names, framework ids), which would make a selector break on the
+   * next deploy or page load.
+   * @param {string} name
+   */
+  function looksGenerated(name) {
+    return /\d/.test(name) || name.length > 30;
+  }
+
+  /**
+   * Describe a single element as a selector step: its tag name plus up
+   * to two stable class names, or its id when it has a stable one.
+   * @param {Element} element
+   * @returns {{step:string, anchored:boolean}} anchored is true when the
+   *   step is an id or has classes, so no parent is needed
+   */
+  function describeElement(element) {
+    if (element.id && !looksGenerated(element.id)) {
+      return { step: `#${CSS.escape(element.id)}`, anchored: true };
+    }
+    const classes = Array.from(element.classList)
+      .filter(name => !looksGenerated(name))
+      .slice(0, 2);
+    const tag = element.nodeName.toLowerCase();
+    return {
+      step: tag + classes.map(name => `.${CSS.escape(name)}`).join(''),
+      anchored: classes.length > 0
+    };
+  }
+
+  /**
+   * Build a CSS selector for an element. Stable ids and class names are
+   * preferred, so that the selector also matches the same kind of
+   * element elsewhere on the page (every like counter, not just one).
+   * Parents are added until the selector is anchored by an id or class,
+   * up to four levels.
+   * @param {Element} element
+   * @returns {string}
+   */
+  function selectorFor(element) {
+    const steps = [];
+    for (let el = element; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+      const { step, anchored } = describeElement(el);
+      steps.unshift(step);
+      if (anchored || steps.length >= 4) break;
+    }
+    return steps.join(' > ') || 'body';
+  }
+
+  /**
+   * Create the outline and label shown over the hovered element.
+   * @returns {{box:HTMLElement, label:HTMLElement}}
+   */
+  function createOverlay() {
+    const box = document.createElement('div');
+    Object.assign(box.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      outline: '2px solid #1a73e8',
+      background: 'rgba(26, 115, 232, 0.15)',
+      display: 'none'
+    });
+    const label = document.createElement('div');
+    Object.assign(label.style, {
+      position: 'fixed',
+      zIndex: '2147483647',
+      pointerEvents: 'none',
+      background: '#1a73e8',
+      color: '#fff',
+      font: '12px system-ui, sans-serif',
+      padding: '2px 6px',
+      borderRadius: '3px',
+      display: 'none'
+    });
+    document.documentElement.append(box, label);
+    return { box, label };
+  }
+
+  /**
+   * Stop the picker in progress, if any, without choosing an element.
+   */
+  function stopPicker() {
+    if (!active) return;
+    window.removeEventListener('mousemove', active.onMove, true);
+    window.removeEventListener('click', active.onClick, true);
+    window.removeEventListener('keydown', active.onKey, true);
+    active.box.remove();
+    active.label.remove();
+    active = null;
+  }
+
+  /**
+   * Let the user pick an element on the page.
+   * @param {string} prompt Text shown next to the selector, such as
+   *   "Never mask"
+   * @param {function(string)} onPick Called with the selector of the
+   *   chosen element
+   */
+  function startPicker(prompt, onPick) {
+    stopPicker();
+    const { box, label } = createOverlay();
+    let current = null;
+    const onMove = event => {
+      const target = event.target;
+      if (!(target instanceof Element) || target === current) return;
+      current = target;
+      const rect = target.getBoundingClientRect();
+      Object.assign(box.style, {
+        display: 'block',
+        left: `${rect.left}px`,
+        top: `${rect.top}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      label.textContent = `${prompt}: ${selectorFor(target)}`;
+      Object.assign(label.style, {
+        display: 'block',
+        left: `${Math.max(0, rect.left)}px`,
+        top: `${Math.max(0, rect.top - 22)}px`
+      });
+    };
+    const onClick = event => {
+      event.preventDefault();
+      event.stopPropagation();
+      const target = event.target;
+      stopPicker();
+      if (target instanceof Element) {
+        onPick(selectorFor(target));
+      }
+    };
+    const onKey = event => {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        stopPicker();
+      }
+    };
+    // Listen on the window in the capture phase so that the page, and
+    // the reveal handlers in content.js, never see the picking click.
+    window.addEventListener('mousemove', onMove, true);
+    window.addEventListener('click', onClick, true);
+    window.addEventListener('keydown', onKey, true);
+    active = { box, label, onMove, onClick, onKey };
+  }
+
+  root.SeeNoNumbersPicker = {
+    selectorFor,
+    startPicker,
+    stopPicker
+  };
+})(globalThis);
@@ -1,15 +1,129 @@
 // Popup script to manage extension settings. It reads the current
 // configuration from chrome.storage.local and updates the UI
 // accordingly. When settings change, it persists them and sends a
-// message to all tabs to reload their configuration.
+// message to all tabs to reload their configuration. Site settings are
+// edited for one site rule (see config.js), chosen from the rules that
+// apply to the active tab. Changes made elsewhere, such as on the
+// options page, are shown as soon as they are stored.
 
 document.addEventListener('DOMContentLoaded', () => {
+  const { DEFAULT_SITE_CONFIG, createSiteConfig, inheritedSiteConfig, matchingRules, resolveSiteConfig, ruleMatches, suggestRuleKeys } = SeeNoNumbersConfig;
+  const { ALL_SITES, DAYS, snoozedUntil } = SeeNoNumbersSchedule;
   const globalEnabledCheckbox = document.getElementById('globalEnabled');
   const enabledCheckbox = document.getElementById('enabled');
   const hideMagnitudeCheckbox = document.getElementById('hideMagnitude');
+  const approximateSelect = document.getElementById('approximate');
+  const maskStyleSelect = document.getElementById('maskStyle');
+  const maskGlyphInput = document.getElementById('maskGlyph');
+  const maskFramesCheckbox = document.getElementById('maskFrames');
+  const maskWorkersCheckbox = document.getElementById('maskWorkers');
+  const maskTitleCheckbox = document.getElementById('maskTitle');
+  const maskFormValuesCheckbox = document.getElementById('maskFormValues');
+  const maskTextFieldsCheckbox = document.getElementById('maskTextFields');
+  const maskEditableCheckbox = document.getElementById('maskEditable');
+  const maskGeneratedCheckbox = document.getElementById('maskGenerated');
+  const copyTextSelect = document.getElementById('copyText');
+  const maskAttributesInput = document.getElementById('maskAttributes');
+  const revealOnSelect = document.getElementById('revealOn');
+  const localeSelect = document.getElementById('locale');
+  const revealTimeoutInput = document.getElementById('revealTimeout');
+  const peekModeSelect = document.getElementById('peekMode');
+  const badgeCountCheckbox = document.getElementById('badgeCount');
+  const pageStats = document.getElementById('pageStats');
+  const statsBreakdown = document.getElementById('statsBreakdown');
   const siteLabel = document.getElementById('site');
+  const siteRuleSelect = document.getElementById('siteRule');
+  const ruleNotice = document.getElementById('ruleNotice');
   const globalDisabledNotice = document.getElementById('globalDisabledNotice');
-  let currentDomain = '';
+  const patternList = document.getElementById('patternList');
+  const patternInput = document.getElementById('patternInput');
+  const patternActionSelect = document.getElementById('patternAction');
+  const patternScopeSelect = document.getElementById('patternScope');
+  const patternRegexCheckbox = document.getElementById('patternRegex');
+  const addPatternButton = document.getElementById('addPattern');
+  const patternError = document.getElementById('patternError');
+  const selectorList = document.getElementById('selectorList');
+  const selectorInput = document.getElementById('selectorInput');
+  const selectorScopeSelect = document.getElementById('selectorScope');
+  const addSelectorButton = document.getElementById('addSelector');
+  const pickSelectorButton = document.getElementById('pickSelector');
+  const explainPageButton = document.getElementById('explainPage');
+  const selectorError = document.getElementById('selectorError');
+  const categoryList = document.getElementById('categoryList');
+  const preserveList = document.getElementById('preserveList');
+  const openOptionsButton = document.getElementById('openOptions');
+  const snoozeMinutesSelect = document.getElementById('snoozeMinutes');
+  const snoozeSiteButton = document.getElementById('snoozeSite');
+  const snoozeAllButton = document.getElementById('snoozeAll');
+  const snoozeNotice = document.getElementById('snoozeNotice');
+  const snoozeText = document.getElementById('snoozeText');
+  const resumeMaskingButton = document.getElementById('resumeMasking');
+  const scheduleEnabledCheckbox = document.getElementById('scheduleEnabled');
+  const scheduleFields = document.getElementById('scheduleFields');
+  const scheduleStartInput = document.getElementById('scheduleStart');
+  const scheduleEndInput = document.getElementById('scheduleEnd');
+  const scheduleError = document.getElementById('scheduleError');
+  // URL and id of the active tab and the site rule being edited for it
+  let currentUrl = '';
+  let currentTabId = null;
+  let currentKey = '';
+
+  // Names of the masked categories in the statistics breakdown
+  const STAT_LABELS = { custom: 'Your patterns' };
+  SeeNoNumbers.CATEGORIES.forEach(category => {
+    STAT_LABELS[category.id] = category.label;
+  });
+
+  // One option per locale pack after "Page language"
+  Object.keys(SeeNoNumbers.LOCALE_PACKS).forEach(key => {
+    localeSelect.appendChild(new Option(SeeNoNumbers.LOCALE_PACKS[key].label, key));
+  });
+
+  /**
+   * Add a checkbox for each option to a list element.
+   * @param {HTMLElement} list
+   * @param {Array<{id:string, label:string}>} options
+   * @returns {Array<HTMLInputElement>}
+   */
+  function createCheckboxes(list, options) {
+    return options.map(option => {
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = option.id;
+      checkbox.addEventListener('change', updateConfig);
+      label.append(checkbox, option.label);
+      list.appendChild(label);
+      return checkbox;
+    });
+  }
+
+  // One checkbox per kind of number and per preservation rule
+  const categoryCheckboxes = createCheckboxes(categoryList, SeeNoNumbers.CATEGORIES);
+  const preserveCheckboxes = createCheckboxes(preserveList, SeeNoNumbers.PRESERVATION_RULES);
+  // One checkbox per day of the week for the schedule, Monday first
+  const dayCheckboxes = createCheckboxes(document.getElementById('scheduleDays'), [1, 2, 3, 4, 5, 6, 0].map(day => ({
+    id: String(day),
+    label: DAYS[day]
+  })));
+
+  /**
+   * Send a config-update message to every tab, or only to the tabs a
+   * site rule applies to when given.
+   * @param {string} [ruleKey]
+   */
+  function notifyTabs(ruleKey) {
+    chrome.tabs.query({}, tabs => {
+      for (const tab of tabs) {
+        if (ruleKey && !(tab.url && ruleMatches(ruleKey, tab.url))) {
+          continue;
+        }
+        chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
+          void chrome.runtime.lastError;
+        });
+      }
+    });
+  }
 
   /**
    * Update the UI state based on global enabled setting.
@@ -18,6 +132,30 @@ document.addEventListener('DOMContentLoaded', () => {
   function updateUIState(globalEnabled) {
     enabledCheckbox.disabled = !globalEnabled;
     hideMagnitudeCheckbox.disabled = !globalEnabled;
+    approximateSelect.disabled = !globalEnabled;
+    maskStyleSelect.disabled = !globalEnabled;
+    maskGlyphInput.disabled = !globalEnabled;
+    maskFramesCheckbox.disabled = !globalEnabled;
+    maskWorkersCheckbox.disabled = !globalEnabled;
+    maskTitleCheckbox.disabled = !globalEnabled;
+    maskFormValuesCheckbox.disabled = !globalEnabled;
+    maskTextFieldsCheckbox.disabled = !globalEnabled;
+    maskEditableCheckbox.disabled = !globalEnabled;
+    maskGeneratedCheckbox.disabled = !globalEnabled;
+    copyTextSelect.disabled = !globalEnabled;
+    maskAttributesInput.disabled = !globalEnabled;
+    revealOnSelect.disabled = !globalEnabled;
+    localeSelect.disabled = !globalEnabled;
+    snoozeSiteButton.disabled = !globalEnabled;
+    snoozeAllButton.disabled = !globalEnabled;
+    scheduleEnabledCheckbox.disabled = !globalEnabled;
+    scheduleStartInput.disabled = !globalEnabled;
+    scheduleEndInput.disabled = !globalEnabled;
+    categoryCheckboxes.concat(preserveCheckboxes, dayCheckboxes).forEach(checkbox => {
+      checkbox.disabled = !globalEnabled;
+    });
+    revealTimeoutInput.disabled = !globalEnabled;
+    siteRuleSelect.disabled = !globalEnabled;
     if (globalEnabled) {
       globalDisabledNotice.classList.remove('visible');
     } else {
@@ -25,80 +163,593 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   }
 
-  // Determine the domain of the active tab and load its settings
+  // Determine the URL of the active tab and load its settings
   chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
     const tab = tabs[0];
     if (!tab) return;
+    currentTabId = tab.id;
+    loadStats();
+    // Have the page counted now; new counts arrive through session storage
+    chrome.tabs.sendMessage(tab.id, { type: 'report-stats' }, () => {
+      void chrome.runtime.lastError;
+    });
     try {
       const url = new URL(tab.url);
-      currentDomain = url.hostname;
+      currentUrl = url.href;
       if (siteLabel) {
-        siteLabel.textContent = currentDomain;
+        siteLabel.textContent = url.hostname;
       }
     } catch (e) {
-      // Leave domain empty
+      // Leave URL empty
     }
-    // Fetch site configurations and populate checkboxes
-    chrome.storage.local.get({ siteConfigs: {}, globalEnabled: true }, result => {
+    chrome.storage.local.get({ siteConfigs: {}, globalEnabled: true, peekMode: 'hold', badgeCount: false }, result => {
       const siteConfigs = result.siteConfigs || {};
       const globalEnabled = result.globalEnabled !== false;
-      const defaultConfig = { enabled: false, hideMagnitude: false };
-      const config = Object.assign({}, defaultConfig, siteConfigs[currentDomain] || {});
+      // Offer every rule that already applies plus the usual scopes,
+      // and start with the rule that currently decides the settings.
+      const options = matchingRules(siteConfigs, currentUrl).map(key => ({ key, label: key }));
+      suggestRuleKeys(currentUrl).forEach(suggestion => {
+        if (!options.some(option => option.key === suggestion.key)) {
+          options.push(suggestion);
+        }
+      });
+      siteRuleSelect.textContent = '';
+      options.forEach(option => {
+        siteRuleSelect.appendChild(new Option(option.label, option.key));
+      });
+      currentKey = resolveSiteConfig(siteConfigs, currentUrl).ruleKey || (options[0] && options[0].key) || '';
+      siteRuleSelect.value = currentKey;
 
       globalEnabledCheckbox.checked = globalEnabled;
-      enabledCheckbox.checked = Boolean(config.enabled);
-      hideMagnitudeCheckbox.checked = Boolean(config.hideMagnitude);
+      peekModeSelect.value = result.peekMode;
+      badgeCountCheckbox.checked = Boolean(result.badgeCount);
       updateUIState(globalEnabled);
+      loadSiteSettings();
+      loadSnooze();
     });
   });
 
+  // Populate the site checkboxes from the selected rule: its own
+  // settings over those it inherits from the rules covering it. A rule
+  // that does not exist yet shows what it would start with, the user's
+  // defaults for new sites over the inherited settings.
+  function loadSiteSettings() {
+    chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
+      const siteConfigs = result.siteConfigs || {};
+      const config = Object.assign(inheritedSiteConfig(siteConfigs, currentKey),
+        siteConfigs[currentKey] || createSiteConfig(result.siteDefaults));
+
+      enabledCheckbox.checked = Boolean(config.enabled);
+      hideMagnitudeCheckbox.checked = Boolean(config.hideMagnitude);
+      approximateSelect.value = config.approximate;
+      maskStyleSelect.value = config.maskStyle;
+      maskGlyphInput.value = config.maskGlyph;
+      maskFramesCheckbox.checked = Boolean(config.maskFrames);
+      maskWorkersCheckbox.checked = Boolean(config.maskWorkers);
+      maskTitleCheckbox.checked = Boolean(config.maskTitle);
+      maskFormValuesCheckbox.checked = Boolean(config.maskFormValues);
+      maskTextFieldsCheckbox.checked = Boolean(config.maskTextFields);
+      maskEditableCheckbox.checked = Boolean(config.maskEditable);
+      maskGeneratedCheckbox.checked = Boolean(config.maskGenerated);
+      copyTextSelect.value = config.copyText;
+      maskAttributesInput.value = (config.maskAttributes || []).join(', ');
+      revealOnSelect.value = config.revealOn;
+      localeSelect.value = config.locale;
+      categoryCheckboxes.forEach(checkbox => {
+        checkbox.checked = (config.maskCategories || []).includes(checkbox.value);
+      });
+      preserveCheckboxes.forEach(checkbox => {
+        checkbox.checked = (config.preserveRules || []).includes(checkbox.value);
+      });
+      revealTimeoutInput.value = config.revealTimeout;
+      // Without a schedule, offer working hours as a starting point
+      const schedule = config.schedule || { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+      scheduleEnabledCheckbox.checked = Boolean(config.schedule);
+      scheduleFields.hidden = !config.schedule;
+      scheduleError.textContent = '';
+      dayCheckboxes.forEach(checkbox => {
+        checkbox.checked = schedule.days.includes(Number(checkbox.value));
+      });
+      scheduleStartInput.value = schedule.start;
+      scheduleEndInput.value = schedule.end;
+      // Warn when a more specific rule overrides the one being edited
+      const keys = matchingRules(siteConfigs, currentUrl);
+      const winner = keys[keys.length - 1];
+      if (currentKey && siteConfigs[currentKey] && winner && winner !== currentKey) {
+        ruleNotice.textContent = `Settings for ${winner} take precedence on this page.`;
+        ruleNotice.classList.add('visible');
+      } else {
+        ruleNotice.classList.remove('visible');
+      }
+      loadPatterns();
+      loadSelectors();
+    });
+  }
+
+  // Switch the rule being edited
+  function updateSiteRule() {
+    currentKey = siteRuleSelect.value;
+    loadSiteSettings();
+  }
+
   // Update global enabled state
   function updateGlobalEnabled() {
     const newGlobalEnabled = globalEnabledCheckbox.checked;
     chrome.storage.local.set({ globalEnabled: newGlobalEnabled }, () => {
       updateUIState(newGlobalEnabled);
       // Broadcast config update to all tabs
-      chrome.tabs.query({}, tabs => {
-        for (const tab of tabs) {
-          chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
-            void chrome.runtime.lastError;
-          });
+      notifyTabs();
+    });
+  }
+
+  // Update the peek shortcut behaviour. Only background.js reads it, so
+  // tabs need not be notified.
+  function updatePeekMode() {
+    chrome.storage.local.set({ peekMode: peekModeSelect.value });
+  }
+
+  // Turn the count on the toolbar badge on or off. background.js updates
+  // the badges itself.
+  function updateBadgeCount() {
+    chrome.storage.local.set({ badgeCount: badgeCountCheckbox.checked });
+  }
+
+  /**
+   * Write a count with the singular or plural of a word.
+   * @param {number} count
+   * @param {string} word
+   * @param {string} words
+   */
+  function formatCount(count, word, words) {
+    return `${count} ${count === 1 ? word : words}`;
+  }
+
+  // Show how many numbers the active tab hides and keeps, as counted by
+  // its content scripts, e.g. "42 numbers hidden, 6 dates kept"
+  function loadStats() {
+    if (currentTabId === null) return;
+    chrome.runtime.sendMessage({ type: 'get-tab-stats', tabId: currentTabId }, stats => {
+      if (chrome.runtime.lastError || !stats) return;
+      const sum = totals => Object.values(totals).reduce((total, count) => total + count, 0);
+      const hidden = sum(stats.masked);
+      const dates = stats.kept.date || 0;
+      const visible = sum(stats.kept) - dates;
+      if (!hidden && !dates && !visible) {
+        pageStats.textContent = '';
+        statsBreakdown.textContent = '';
+        return;
+      }
+      const parts = [formatCount(hidden, 'number', 'numbers') + ' hidden'];
+      if (dates) parts.push(formatCount(dates, 'date', 'dates') + ' kept');
+      if (visible) parts.push(formatCount(visible, 'number', 'numbers') + ' left visible');
+      pageStats.textContent = parts.join(', ');
+      statsBreakdown.textContent = Object.keys(stats.masked)
+        .sort((a, b) => stats.masked[b] - stats.masked[a])
+        .map(category => `${STAT_LABELS[category] || category}: ${stats.masked[category]}`)
+        .join(' · ');
+    });
+  }
+
+  // Follow changes stored while the popup is open, whether by the
+  // options page, a keyboard shortcut or the popup itself, and new
+  // statistics from the page
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'session' && changes.tabStats) {
+      loadStats();
+    }
+    if (areaName !== 'local') return;
+    if (changes.badgeCount) {
+      badgeCountCheckbox.checked = Boolean(changes.badgeCount.newValue);
+    }
+    if (changes.globalEnabled) {
+      const globalEnabled = changes.globalEnabled.newValue !== false;
+      globalEnabledCheckbox.checked = globalEnabled;
+      updateUIState(globalEnabled);
+    }
+    if (changes.snoozes) {
+      loadSnooze();
+    }
+    if (changes.siteConfigs || changes.siteDefaults) {
+      loadSiteSettings();
+    } else if (changes.globalMaskPatterns || changes.globalAllowPatterns) {
+      loadPatterns();
+    }
+  });
+
+  // Show whether the numbers on this page are snoozed, and until when
+  function loadSnooze() {
+    chrome.storage.local.get({ snoozes: {} }, result => {
+      const until = snoozedUntil(result.snoozes, currentUrl, Date.now());
+      if (until) {
+        const time = new Date(until).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+        snoozeText.textContent = `Numbers are shown until ${time}.`;
+        snoozeNotice.classList.add('visible');
+      } else {
+        snoozeNotice.classList.remove('visible');
+      }
+    });
+  }
+
+  /**
+   * Show numbers for the chosen number of minutes, then mask them again.
+   * background.js sets the alarm that ends the snooze.
+   * @param {string} key The site rule to snooze, or ALL_SITES
+   */
+  function snooze(key) {
+    if (!key) return;
+    const minutes = Number(snoozeMinutesSelect.value);
+    chrome.storage.local.get({ snoozes: {} }, result => {
+      const snoozes = result.snoozes || {};
+      snoozes[key] = Date.now() + minutes * 60000;
+      chrome.storage.local.set({ snoozes }, () => {
+        notifyTabs(key === ALL_SITES ? undefined : key);
+      });
+    });
+  }
+
+  // End every snooze that covers this page
+  function resumeMasking() {
+    chrome.storage.local.get({ snoozes: {} }, result => {
+      const snoozes = result.snoozes || {};
+      Object.keys(snoozes).forEach(key => {
+        if (key === ALL_SITES || ruleMatches(key, currentUrl)) {
+          delete snoozes[key];
         }
       });
+      chrome.storage.local.set({ snoozes }, () => {
+        notifyTabs();
+      });
     });
   }
 
+  // Open the options page, which manages every site rule
+  function openOptions() {
+    chrome.runtime.openOptionsPage();
+    window.close();
+  }
+
   // Update site configuration in storage and notify tabs
   function updateConfig() {
-    if (!currentDomain) return;
-    const newConfig = {
+    if (!currentKey) return;
+    const scheduleDays = dayCheckboxes
+      .filter(checkbox => checkbox.checked)
+      .map(checkbox => Number(checkbox.value));
+    // A schedule without days would never mask, so it is not saved
+    const scheduleMissingDays = scheduleEnabledCheckbox.checked && !scheduleDays.length;
+    scheduleError.textContent = scheduleMissingDays ? 'Pick at least one day.' : '';
+    const changes = {
       enabled: enabledCheckbox.checked,
-      hideMagnitude: hideMagnitudeCheckbox.checked
+      hideMagnitude: hideMagnitudeCheckbox.checked,
+      approximate: approximateSelect.value,
+      maskStyle: maskStyleSelect.value,
+      maskGlyph: maskGlyphInput.value || DEFAULT_SITE_CONFIG.maskGlyph,
+      maskFrames: maskFramesCheckbox.checked,
+      maskWorkers: maskWorkersCheckbox.checked,
+      maskTitle: maskTitleCheckbox.checked,
+      maskFormValues: maskFormValuesCheckbox.checked,
+      maskTextFields: maskTextFieldsCheckbox.checked,
+      maskEditable: maskEditableCheckbox.checked,
+      maskGenerated: maskGeneratedCheckbox.checked,
+      copyText: copyTextSelect.value,
+      maskAttributes: maskAttributesInput.value
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean),
+      revealOn: revealOnSelect.value,
+      locale: localeSelect.value,
+      maskCategories: categoryCheckboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value),
+      preserveRules: preserveCheckboxes
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.value),
+      revealTimeout: Math.max(0, Number(revealTimeoutInput.value) || 0)
     };
-    chrome.storage.local.get({ siteConfigs: {} }, result => {
+    if (!scheduleMissingDays) {
+      changes.schedule = scheduleEnabledCheckbox.checked ? {
+        days: scheduleDays,
+        start: scheduleStartInput.value || '00:00',
+        end: scheduleEndInput.value || '00:00'
+      } : null;
+    }
+    scheduleFields.hidden = !scheduleEnabledCheckbox.checked;
+    chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
       const siteConfigs = result.siteConfigs || {};
-      siteConfigs[currentDomain] = newConfig;
+      // Keep any settings this popup does not show, and store only the
+      // ones that differ from what the rule inherits, so that the rules
+      // covering it still decide the rest
+      const inherited = inheritedSiteConfig(siteConfigs, currentKey);
+      const rule = Object.assign({}, siteConfigs[currentKey] || createSiteConfig(result.siteDefaults));
+      Object.keys(changes).forEach(name => {
+        if (JSON.stringify(changes[name]) === JSON.stringify(inherited[name])) {
+          delete rule[name];
+        } else {
+          rule[name] = changes[name];
+        }
+      });
+      siteConfigs[currentKey] = rule;
       chrome.storage.local.set({ siteConfigs }, () => {
         // Broadcast config update to all tabs of this domain
-        chrome.tabs.query({}, tabs => {
-          for (const tab of tabs) {
-            try {
-              const tabUrl = new URL(tab.url);
-              if (tabUrl.hostname === currentDomain) {
-                chrome.tabs.sendMessage(tab.id, { type: 'config-update' }, () => {
-                  void chrome.runtime.lastError;
-                });
-              }
-            } catch (e) {
-              // skip invalid urls
-            }
-          }
+        notifyTabs(currentKey);
+      });
+    });
+  }
+
+  const patternDefaults = {
+    siteConfigs: {},
+    siteDefaults: {},
+    globalMaskPatterns: [],
+    globalAllowPatterns: []
+  };
+
+  /**
+   * Get the stored list of patterns for an action ('mask' or 'allow')
+   * and scope ('site' or 'global'), creating it, and a missing site
+   * rule, from the new-site defaults if needed.
+   * @param {Object} result Storage contents
+   * @param {string} action
+   * @param {string} scope
+   * @returns {Array<{pattern:string, regex:boolean}>}
+   */
+  function getPatternList(result, action, scope) {
+    if (scope === 'global') {
+      return action === 'mask' ? result.globalMaskPatterns : result.globalAllowPatterns;
+    }
+    const siteConfig = result.siteConfigs[currentKey] =
+      result.siteConfigs[currentKey] || createSiteConfig(result.siteDefaults);
+    const key = action === 'mask' ? 'maskPatterns' : 'allowPatterns';
+    siteConfig[key] = siteConfig[key] || [];
+    return siteConfig[key];
+  }
+
+  // Show the site's own patterns followed by the global ones
+  function loadPatterns() {
+    chrome.storage.local.get(patternDefaults, result => {
+      patternList.textContent = '';
+      for (const scope of ['site', 'global']) {
+        if (scope === 'site' && !currentKey) continue;
+        for (const action of ['mask', 'allow']) {
+          getPatternList(result, action, scope).forEach((rule, index) => {
+            patternList.appendChild(renderPattern(rule, action, scope, index));
+          });
+        }
+      }
+    });
+  }
+
+  /**
+   * Build the list item for one pattern, with a button to remove it.
+   * @param {{pattern:string, regex:boolean, whole:(boolean|undefined)}} rule
+   * @param {string} action
+   * @param {string} scope
+   * @param {number} index Position within its stored list
+   */
+  function renderPattern(rule, action, scope, index) {
+    const item = document.createElement('li');
+    const kind = document.createElement('span');
+    kind.className = 'pattern-kind';
+    kind.textContent = action === 'mask' ? 'Mask' : 'Allow';
+    const text = document.createElement('code');
+    text.textContent = rule.regex ? `/${rule.pattern}/` : rule.pattern;
+    item.append(kind, text);
+    if (rule.whole) {
+      const tag = document.createElement('span');
+      tag.className = 'pattern-scope';
+      tag.textContent = 'exact';
+      tag.title = 'Only where it is not part of a longer number or word';
+      item.appendChild(tag);
+    }
+    if (scope === 'global') {
+      const tag = document.createElement('span');
+      tag.className = 'pattern-scope';
+      tag.textContent = 'all sites';
+      item.appendChild(tag);
+    }
+    const remove = document.createElement('button');
+    remove.className = 'pattern-remove';
+    remove.title = 'Remove';
+    remove.textContent = '×';
+    remove.addEventListener('click', () => removePattern(action, scope, index));
+    item.appendChild(remove);
+    return item;
+  }
+
+  /**
+   * Persist a change to the stored patterns, then refresh the list and
+   * notify the affected tabs.
+   * @param {string} action
+   * @param {string} scope
+   * @param {function(Array)} edit Called with the list to modify
+   */
+  function editPatterns(action, scope, edit) {
+    chrome.storage.local.get(patternDefaults, result => {
+      edit(getPatternList(result, action, scope));
+      const changes = scope === 'global'
+        ? { globalMaskPatterns: result.globalMaskPatterns, globalAllowPatterns: result.globalAllowPatterns }
+        : { siteConfigs: result.siteConfigs };
+      chrome.storage.local.set(changes, () => {
+        loadPatterns();
+        notifyTabs(scope === 'global' ? undefined : currentKey);
+      });
+    });
+  }
+
+  // Validate and store the pattern typed into the form
+  function addPattern() {
+    const rule = { pattern: patternInput.value.trim(), regex: patternRegexCheckbox.checked };
+    const scope = patternScopeSelect.value;
+    if (!rule.pattern) return;
+    if (scope === 'site' && !currentKey) return;
+    if (!SeeNoNumbers.compilePattern(rule)) {
+      patternError.textContent = 'That is not a valid regular expression.';
+      return;
+    }
+    patternError.textContent = '';
+    patternInput.value = '';
+    editPatterns(patternActionSelect.value, scope, list => list.push(rule));
+  }
+
+  /**
+   * Remove a stored pattern.
+   * @param {string} action
+   * @param {string} scope
+   * @param {number} index
+   */
+  function removePattern(action, scope, index) {
+    editPatterns(action, scope, list => list.splice(index, 1));
+  }
+
+  // Stored setting names and list labels of the selector scopes.
+  const SELECTOR_SCOPES = {
+    include: { key: 'includeSelectors', label: 'Only' },
+    exclude: { key: 'excludeSelectors', label: 'Never' },
+    mask: { key: 'maskSelectors', label: 'Always' },
+    magnitude: { key: 'magnitudeSelectors', label: 'Bar' }
+  };
+
+  /**
+   * Get the stored setting name for a selector scope.
+   * @param {string} scope 'include', 'exclude', 'mask' or 'magnitude'
+   */
+  function selectorKey(scope) {
+    return SELECTOR_SCOPES[scope].key;
+  }
+
+  // Show the include, exclude, always-mask and magnitude selectors of the
+  // selected rule
+  function loadSelectors() {
+    chrome.storage.local.get({ siteConfigs: {} }, result => {
+      const siteConfig = (result.siteConfigs || {})[currentKey] || {};
+      selectorList.textContent = '';
+      for (const scope of Object.keys(SELECTOR_SCOPES)) {
+        (siteConfig[selectorKey(scope)] || []).forEach((selector, index) => {
+          const item = document.createElement('li');
+          const kind = document.createElement('span');
+          kind.className = 'pattern-kind';
+          kind.textContent = SELECTOR_SCOPES[scope].label;
+          const text = document.createElement('code');
+          text.textContent = selector;
+          const remove = document.createElement('button');
+          remove.className = 'pattern-remove';
+          remove.title = 'Remove';
+          remove.textContent = '×';
+          remove.addEventListener('click', () => {
+            editSelectors(scope, list => list.splice(index, 1));
+          });
+          item.append(kind, text, remove);
+          selectorList.appendChild(item);
         });
+      }
+    });
+  }
+
+  /**
+   * Persist a change to the selected rule's selectors, then refresh the
+   * list and notify the affected tabs. A missing rule starts from the
+   * new-site defaults.
+   * @param {string} scope 'include', 'exclude', 'mask' or 'magnitude'
+   * @param {function(Array)} edit Called with the list to modify
+   */
+  function editSelectors(scope, edit) {
+    if (!currentKey) return;
+    chrome.storage.local.get({ siteConfigs: {}, siteDefaults: {} }, result => {
+      const siteConfigs = result.siteConfigs || {};
+      const siteConfig = siteConfigs[currentKey] = siteConfigs[currentKey] || createSiteConfig(result.siteDefaults);
+      const key = selectorKey(scope);
+      siteConfig[key] = siteConfig[key] || [];
+      edit(siteConfig[key]);
+      chrome.storage.local.set({ siteConfigs }, () => {
+        loadSelectors();
+        notifyTabs(currentKey);
+      });
+    });
+  }
+
+  // Validate and store the selector typed into the form
+  function addSelector() {
+    const selector = selectorInput.value.trim();
+    if (!selector) return;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (e) {
+      selectorError.textContent = 'That is not a valid CSS selector.';
+      return;
+    }
+    selectorError.textContent = '';
+    selectorInput.value = '';
+    editSelectors(selectorScopeSelect.value, list => {
+      if (!list.includes(selector)) list.push(selector);
+    });
+  }
+
+  // Start the element picker in the active tab. The popup closes so the
+  // page can be clicked; the content script saves the chosen selector.
+  function pickSelector() {
+    if (!currentKey) return;
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      const tab = tabs[0];
+      if (!tab) return;
+      chrome.tabs.sendMessage(tab.id, {
+        type: 'pick-element',
+        scope: selectorScopeSelect.value,
+        ruleKey: currentKey
+      }, { frameId: 0 }, () => {
+        void chrome.runtime.lastError;
       });
+      window.close();
+    });
+  }
+
+  // Turn on the diagnostics overlay in every frame of the active tab,
+  // which outlines what is masked and why. The popup closes so the page
+  // can be hovered.
+  function explainPage() {
+    chrome.tabs.query({ active: true, currentWindow: true }, tabs => {
+      const tab = tabs[0];
+      if (!tab) return;
+      chrome.tabs.sendMessage(tab.id, { type: 'toggle-diagnostics' }, () => {
+        void chrome.runtime.lastError;
+      });
+      window.close();
     });
   }
 
   globalEnabledCheckbox.addEventListener('change', updateGlobalEnabled);
+  siteRuleSelect.addEventListener('change', updateSiteRule);
   enabledCheckbox.addEventListener('change', updateConfig);
   hideMagnitudeCheckbox.addEventListener('change', updateConfig);
+  approximateSelect.addEventListener('change', updateConfig);
+  maskStyleSelect.addEventListener('change', updateConfig);
+  maskGlyphInput.addEventListener('change', updateConfig);
+  maskFramesCheckbox.addEventListener('change', updateConfig);
+  maskWorkersCheckbox.addEventListener('change', updateConfig);
+  maskTitleCheckbox.addEventListener('change', updateConfig);
+  maskFormValuesCheckbox.addEventListener('change', updateConfig);
+  maskTextFieldsCheckbox.addEventListener('change', updateConfig);
+  maskEditableCheckbox.addEventListener('change', updateConfig);
+  maskGeneratedCheckbox.addEventListener('change', updateConfig);
+  copyTextSelect.addEventListener('change', updateConfig);
+  maskAttributesInput.addEventListener('change', updateConfig);
+  revealOnSelect.addEventListener('change', updateConfig);
+  localeSelect.addEventListener('change', updateConfig);
+  revealTimeoutInput.addEventListener('change', updateConfig);
+  peekModeSelect.addEventListener('change', updatePeekMode);
+  badgeCountCheckbox.addEventListener('change', updateBadgeCount);
+  addPatternButton.addEventListener('click', addPattern);
+  addSelectorButton.addEventListener('click', addSelector);
+  pickSelectorButton.addEventListener('click', pickSelector);
+  explainPageButton.addEventListener('click', explainPage);
+  openOptionsButton.addEventListener('click', openOptions);
+  snoozeSiteButton.addEventListener('click', () => snooze(currentKey));
+  snoozeAllButton.addEventListener('click', () => snooze(ALL_SITES));
+  resumeMaskingButton.addEventListener('click', resumeMasking);
+  scheduleEnabledCheckbox.addEventListener('change', updateConfig);
+  scheduleStartInput.addEventListener('change', updateConfig);
+  scheduleEndInput.addEventListener('change', updateConfig);
+  selectorInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addSelector();
+  });
+  patternInput.addEventListener('keydown', event => {
+    if (event.key === 'Enter') addPattern();
+  });
 });
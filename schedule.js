@@ -0,0 +1,160 @@
+/*
+ * Schedules and snoozes for See No Numbers.
+ *
+ * A schedule limits masking to set hours: {days, start, end}, where days
+ * lists the days of the week it applies to (0 is Sunday) and start and
+ * end are local "HH:MM" times. When end is not after start the window
+ * runs past midnight into the next day, so {start: '21:00', end:
+ * '06:00'} covers the night that begins on each listed day. A site rule
+ * can carry a schedule, so that it only masks in that window, and the
+ * globalSchedule setting masks every site in its window.
+ *
+ * A snooze shows the numbers of a site for a while. snoozes in local
+ * storage maps a rule key, or '*' for every site, to the time in
+ * milliseconds when masking resumes. background.js sets an alarm for
+ * the next time a schedule or snooze changes the outcome and tells the
+ * tabs to re-apply their settings then.
+ *
+ * This script is shared by background.js (via importScripts), the
+ * content script, the popup and the options page, and exposes
+ * everything on a single SeeNoNumbersSchedule global.
+ */
+
+(root => {
+  const { ruleMatches } = root.SeeNoNumbersConfig;
+
+  // Key of a snooze that applies to every site.
+  const ALL_SITES = '*';
+
+  // Labels for the days of the week, in Date.getDay() order.
+  const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  /**
+   * Convert an "HH:MM" time to minutes after midnight.
+   * @param {string} time
+   * @returns {?number} null if the time is not valid
+   */
+  function parseTime(time) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Check whether a value is a usable schedule: at least one day, each
+   * listed once as an integer from 0 to 6, and valid times.
+   * @param {*} schedule
+   */
+  function isValidSchedule(schedule) {
+    return Boolean(schedule) &&
+      Array.isArray(schedule.days) && schedule.days.length > 0 &&
+      schedule.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+      new Set(schedule.days).size === schedule.days.length &&
+      parseTime(schedule.start) !== null &&
+      parseTime(schedule.end) !== null;
+  }
+
+  /**
+   * Check whether a schedule's window includes a moment.
+   * @param {Object} schedule
+   * @param {Date} date
+   */
+  function scheduleActive(schedule, date) {
+    if (!isValidSchedule(schedule)) return false;
+    const start = parseTime(schedule.start);
+    const end = parseTime(schedule.end);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    if (start < end) {
+      return schedule.days.includes(today) && minutes >= start && minutes < end;
+    }
+    // The window runs past midnight: it is either the evening of a
+    // listed day or the morning after one.
+    const yesterday = (today + 6) % 7;
+    return (schedule.days.includes(today) && minutes >= start) ||
+      (schedule.days.includes(yesterday) && minutes < end);
+  }
+
+  /**
+   * Find the next time after a moment when a schedule's window may
+   * open or close.
+   * @param {Object} schedule
+   * @param {Date} date
+   * @returns {?number} A timestamp in milliseconds, or null for an
+   *   invalid schedule
+   */
+  function nextScheduleChange(schedule, date) {
+    if (!isValidSchedule(schedule)) return null;
+    const times = [parseTime(schedule.start), parseTime(schedule.end)];
+    for (let day = 0; day <= 7; day++) {
+      const candidates = times
+        .map(minutes => new Date(date.getFullYear(), date.getMonth(), date.getDate() + day, 0, minutes).getTime())
+        .filter(time => time > date.getTime())
+        .sort((a, b) => a - b);
+      if (candidates.length) return candidates[0];
+    }
+    return null;
+  }
+
+  /**
+   * Get the time at which a snooze covering a URL ends.
+   * @param {Object} snoozes
+   * @param {string|URL|Location} url
+   * @param {number} now Timestamp in milliseconds
+   * @returns {number} 0 if no snooze covers the URL
+   */
+  function snoozedUntil(snoozes, url, now) {
+    let until = 0;
+    Object.keys(snoozes || {}).forEach(key => {
+      const end = snoozes[key];
+      if (end > now && end > until && (key === ALL_SITES || ruleMatches(key, url))) {
+        until = end;
+      }
+    });
+    return until;
+  }
+
+  /**
+   * Decide whether a page is masked right now.
+   * @param {Object} config The page's settings from resolveSiteConfig
+   * @param {{globalEnabled:boolean, globalSchedule:?Object, snoozes:Object}} state
+   * @param {string|URL|Location} url
+   * @param {Date} date
+   */
+  function maskingActive(config, state, url, date) {
+    if (state.globalEnabled === false) return false;
+    if (snoozedUntil(state.snoozes, url, date.getTime())) return false;
+    if (config.enabled && (!config.schedule || scheduleActive(config.schedule, date))) {
+      return true;
+    }
+    return scheduleActive(state.globalSchedule, date);
+  }
+
+  /**
+   * Describe a schedule briefly, e.g. "Mon–Fri 09:00–17:00".
+   * @param {Object} schedule
+   * @returns {string}
+   */
+  function describeSchedule(schedule) {
+    if (!isValidSchedule(schedule)) return '';
+    const days = schedule.days.slice().sort((a, b) => a - b);
+    let dayText = days.map(day => DAYS[day]).join(', ');
+    if (days.length === 7) {
+      dayText = 'Every day';
+    } else if (days.length > 2 && days.every((day, i) => i === 0 || day === days[i - 1] + 1)) {
+      dayText = `${DAYS[days[0]]}–${DAYS[days[days.length - 1]]}`;
+    }
+    return `${dayText} ${schedule.start}–${schedule.end}`;
+  }
+
+  root.SeeNoNumbersSchedule = {
+    ALL_SITES,
+    DAYS,
+    describeSchedule,
+    isValidSchedule,
+    maskingActive,
+    nextScheduleChange,
+    scheduleActive,
+    snoozedUntil
+  };
+})(globalThis);
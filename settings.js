@@ -0,0 +1,616 @@
+/*
+ * Stored settings for See No Numbers: the schema version, import and
+ * export, and chrome.storage.sync.
+ *
+ * Settings live in chrome.storage.local. schemaVersion records the
+ * layout they were written in; data from before it was recorded is
+ * version 0. MIGRATIONS[n] turns version n into version n + 1, and
+ * every way settings come in (an extension update, an imported file,
+ * another computer through sync) runs them, so nothing reads data in
+ * an older layout. A new site setting needs no migration of its own:
+ * resolveSiteConfig layers stored rules over DEFAULT_SITE_CONFIG, so a
+ * rule without it gets the default.
+ *
+ * When syncEnabled is set, background.js mirrors the settings named in
+ * SYNCED_KEYS to chrome.storage.sync. A single sync item may hold only
+ * 8 KB, so they are stored as one JSON string split across numbered
+ * chunk items, next to a syncMeta item with the schema version, the
+ * number of chunks and a hash of the content. syncState in local
+ * storage holds the hashes of the local and synced settings as of the
+ * last sync, which tell changes made here from changes that arrived
+ * from elsewhere.
+ *
+ * This script is shared by background.js (via importScripts) and the
+ * options page, and exposes everything on a single SeeNoNumbersSettings
+ * global.
+ */
+
+(root => {
+  const { DEFAULT_SITE_CONFIG, LIST_SETTINGS, SETTING_CHOICES, normalizeRuleKey } = root.SeeNoNumbersConfig;
+  const { isValidSchedule } = root.SeeNoNumbersSchedule;
+
+  // Version of the layout written by this release.
+  const SCHEMA_VERSION = 1;
+
+  // Identifies exported files.
+  const EXPORT_FORMAT = 'see-no-numbers-settings';
+
+  // Settings that are exported and synced, with their defaults. Local
+  // state such as syncEnabled stays on each computer, and so do the
+  // switches of the person using it: globalEnabled, the peek shortcut
+  // and badgeCount. Turning masking off on one computer leaves it on
+  // everywhere else.
+  const SYNCED_DEFAULTS = {
+    siteConfigs: {},
+    siteDefaults: {},
+    globalMaskPatterns: [],
+    globalAllowPatterns: [],
+    globalSchedule: null
+  };
+  const SYNCED_KEYS = Object.keys(SYNCED_DEFAULTS);
+
+  // Lowest and highest values of numeric site settings, in seconds.
+  // Values outside them are moved to the nearest one.
+  const RANGES = {
+    revealTimeout: [0, 3600]
+  };
+
+  // Site settings holding {pattern, regex} rules rather than strings.
+  const PATTERN_SETTINGS = ['maskPatterns', 'allowPatterns'];
+
+  // Item names in chrome.storage.sync.
+  const SYNC_META = 'syncMeta';
+  const SYNC_CHUNK = 'syncChunk';
+
+  // Limits of chrome.storage.sync, with a fallback for browsers that do
+  // not expose them. Some room is left for the item names.
+  const SYNC_QUOTA = (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES) || 102400;
+  const SYNC_ITEM_QUOTA = (chrome.storage.sync && chrome.storage.sync.QUOTA_BYTES_PER_ITEM) || 8192;
+  const CHUNK_BYTES = SYNC_ITEM_QUOTA - 64;
+
+  /**
+   * Check whether a value is a plain object (not null or an array).
+   * @param {*} value
+   */
+  function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Check a list of {pattern, regex, whole} rules, dropping invalid
+   * entries. whole is only kept where it is set.
+   * @param {*} list
+   * @param {function(string)} report
+   * @returns {Array<{pattern:string, regex:boolean, whole:(boolean|undefined)}>}
+   */
+  function cleanPatterns(list, report) {
+    return list.filter(rule => {
+      if (!isObject(rule) || typeof rule.pattern !== 'string' || !rule.pattern) {
+        report('a pattern that is not text');
+        return false;
+      }
+      if (rule.regex) {
+        try {
+          new RegExp(rule.pattern);
+        } catch (e) {
+          report(`the invalid regular expression /${rule.pattern}/`);
+          return false;
+        }
+      }
+      return true;
+    }).map(rule => (rule.whole && !rule.regex
+      ? { pattern: rule.pattern, regex: false, whole: true }
+      : { pattern: rule.pattern, regex: Boolean(rule.regex) }));
+  }
+
+  /**
+   * Check one setting against its default, its allowed values or range
+   * and, for schedules, the layout schedule.js reads.
+   * @param {string} name
+   * @param {*} value
+   * @param {*} expected The default value
+   * @returns {{value:*, problem:(string|undefined)}} value is undefined
+   *   when the setting must be dropped
+   */
+  function cleanValue(name, value, expected) {
+    if (expected === null) {
+      // Schedules, which are null when there is none
+      return value === null || isValidSchedule(value)
+        ? { value }
+        : { value: undefined, problem: `"${name}", which is not a valid schedule` };
+    }
+    if (typeof value !== typeof expected) {
+      return { value: undefined, problem: `"${name}", which should be a ${typeof expected}` };
+    }
+    if (SETTING_CHOICES[name] && !SETTING_CHOICES[name].includes(value)) {
+      return { value: undefined, problem: `"${name}", which cannot be "${value}"` };
+    }
+    if (RANGES[name]) {
+      const [min, max] = RANGES[name];
+      return { value: Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : expected };
+    }
+    return { value };
+  }
+
+  /**
+   * Check the settings of one site rule (or the defaults for new ones)
+   * against DEFAULT_SITE_CONFIG, dropping anything else.
+   * @param {*} config
+   * @param {function(string)} report
+   * @returns {Object}
+   */
+  function cleanSiteConfig(config, report) {
+    const clean = {};
+    if (!isObject(config)) {
+      report('settings that are not an object');
+      return clean;
+    }
+    Object.keys(config).forEach(name => {
+      const value = config[name];
+      const expected = DEFAULT_SITE_CONFIG[name];
+      if (expected === undefined) {
+        report(`the unknown setting "${name}"`);
+      } else if (Array.isArray(expected)) {
+        if (!Array.isArray(value)) {
+          report(`"${name}", which is not a list`);
+        } else if (PATTERN_SETTINGS.includes(name)) {
+          clean[name] = cleanPatterns(value, report);
+        } else {
+          clean[name] = value.filter(item => typeof item === 'string');
+        }
+      } else {
+        const checked = cleanValue(name, value, expected);
+        if (checked.problem) report(checked.problem);
+        if (checked.value !== undefined) clean[name] = checked.value;
+      }
+    });
+    return clean;
+  }
+
+  /**
+   * Bring settings into the shape this release expects: rule keys in
+   * normal form, known settings of the right types and values, and
+   * valid patterns and schedules.
+   * Whatever had to be dropped is listed in the returned problems.
+   * @param {Object} settings
+   * @returns {{settings:Object, problems:Array<string>}}
+   */
+  function cleanSettings(settings) {
+    const problems = [];
+    const clean = {};
+    SYNCED_KEYS.forEach(name => {
+      if (settings[name] !== undefined) clean[name] = settings[name];
+    });
+    if (clean.siteConfigs !== undefined) {
+      const siteConfigs = {};
+      Object.keys(isObject(clean.siteConfigs) ? clean.siteConfigs : {}).forEach(key => {
+        const ruleKey = normalizeRuleKey(key);
+        if (!ruleKey) {
+          problems.push(`Skipped the site "${key}", which is not a valid site.`);
+          return;
+        }
+        const report = what => problems.push(`Skipped ${what} for ${ruleKey}.`);
+        siteConfigs[ruleKey] = Object.assign(siteConfigs[ruleKey] || {}, cleanSiteConfig(clean.siteConfigs[key], report));
+      });
+      clean.siteConfigs = siteConfigs;
+    }
+    if (clean.siteDefaults !== undefined) {
+      clean.siteDefaults = cleanSiteConfig(clean.siteDefaults, what => {
+        problems.push(`Skipped ${what} in the defaults for new sites.`);
+      });
+      // Whether a site is masked is never a default
+      delete clean.siteDefaults.enabled;
+    }
+    ['globalMaskPatterns', 'globalAllowPatterns'].forEach(name => {
+      if (clean[name] === undefined) return;
+      clean[name] = cleanPatterns(Array.isArray(clean[name]) ? clean[name] : [], what => {
+        problems.push(`Skipped ${what} from the patterns for all sites.`);
+      });
+    });
+    if (clean.globalSchedule !== undefined) {
+      const checked = cleanValue('globalSchedule', clean.globalSchedule, SYNCED_DEFAULTS.globalSchedule);
+      if (checked.problem) problems.push(`Skipped ${checked.problem}.`);
+      if (checked.value === undefined) delete clean.globalSchedule;
+    }
+    return { settings: clean, problems };
+  }
+
+  // Steps from each schema version to the next, applied in order.
+  const MIGRATIONS = [
+    // 0 → 1: settings were stored without any checks. Drop whatever
+    // does not fit the checked layout, such as rule keys that are not
+    // in normal form or settings of the wrong type.
+    settings => cleanSettings(settings).settings
+  ];
+
+  /**
+   * Migrate settings from a schema version to the current one.
+   * @param {Object} settings
+   * @param {number} version
+   * @returns {Object}
+   */
+  function migrate(settings, version) {
+    let migrated = Object.assign({}, settings);
+    for (let v = version; v < SCHEMA_VERSION; v++) {
+      migrated = MIGRATIONS[v](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Migrate the settings in local storage, if they were written by an
+   * older release. Settings written by a newer one (after a downgrade)
+   * are left alone.
+   * @param {function()} [callback]
+   */
+  function migrateStorage(callback) {
+    chrome.storage.local.get(null, stored => {
+      const version = Number(stored.schemaVersion) || 0;
+      if (version >= SCHEMA_VERSION) {
+        if (callback) callback();
+        return;
+      }
+      const settings = {};
+      SYNCED_KEYS.forEach(name => {
+        if (stored[name] !== undefined) settings[name] = stored[name];
+      });
+      const migrated = migrate(settings, version);
+      migrated.schemaVersion = SCHEMA_VERSION;
+      // Remove settings a migration dropped, then store the rest
+      const removed = SYNCED_KEYS.filter(name => stored[name] !== undefined && migrated[name] === undefined);
+      chrome.storage.local.remove(removed, () => {
+        chrome.storage.local.set(migrated, () => {
+          if (callback) callback();
+        });
+      });
+    });
+  }
+
+  /**
+   * Read the settings that are exported and synced.
+   * @param {function(Object)} callback
+   */
+  function readSettings(callback) {
+    chrome.storage.local.get(SYNCED_DEFAULTS, callback);
+  }
+
+  /**
+   * Build the contents of an export file.
+   * @param {function(Object)} callback Called with the file's data
+   */
+  function exportSettings(callback) {
+    readSettings(settings => {
+      callback({
+        format: EXPORT_FORMAT,
+        schemaVersion: SCHEMA_VERSION,
+        exportedAt: new Date().toISOString(),
+        settings
+      });
+    });
+  }
+
+  /**
+   * Check an imported file and bring its settings to the current
+   * schema.
+   * @param {*} data The parsed JSON of the file
+   * @returns {{settings:?Object, problems:Array<string>, error:?string}}
+   *   error is set, and settings null, if the file cannot be used at all
+   */
+  function parseImport(data) {
+    const fail = error => ({ settings: null, problems: [], error });
+    if (!isObject(data) || data.format !== EXPORT_FORMAT || !isObject(data.settings)) {
+      return fail('This is not a See No Numbers settings file.');
+    }
+    const version = data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+      return fail('The file has no valid schema version.');
+    }
+    if (version > SCHEMA_VERSION) {
+      return fail('The file was made by a newer version of the extension. Update it and try again.');
+    }
+    const { settings, problems } = cleanSettings(migrate(data.settings, version));
+    return { settings, problems, error: null };
+  }
+
+  /**
+   * Combine a list of patterns or selectors with another, leaving out
+   * duplicates.
+   * @param {Array} current
+   * @param {Array} incoming
+   * @returns {Array}
+   */
+  function union(current, incoming) {
+    const seen = new Set(current.map(item => JSON.stringify(item)));
+    return current.concat(incoming.filter(item => !seen.has(JSON.stringify(item))));
+  }
+
+  /**
+   * Merge incoming settings into the current ones. Incoming rules are
+   * added; for a rule both have, the incoming settings win and lists
+   * such as patterns are combined. Patterns for all sites are combined
+   * too, and the defaults for new sites take the incoming values.
+   * @param {Object} current
+   * @param {Object} incoming
+   * @returns {Object}
+   */
+  function mergeSettings(current, incoming) {
+    const merged = Object.assign({}, SYNCED_DEFAULTS, current);
+    const siteConfigs = Object.assign({}, merged.siteConfigs);
+    Object.keys(incoming.siteConfigs || {}).forEach(key => {
+      const rule = Object.assign({}, siteConfigs[key], incoming.siteConfigs[key]);
+      LIST_SETTINGS.forEach(name => {
+        if (siteConfigs[key] && siteConfigs[key][name] && incoming.siteConfigs[key][name]) {
+          rule[name] = union(siteConfigs[key][name], incoming.siteConfigs[key][name]);
+        }
+      });
+      siteConfigs[key] = rule;
+    });
+    merged.siteConfigs = siteConfigs;
+    merged.siteDefaults = Object.assign({}, merged.siteDefaults, incoming.siteDefaults);
+    ['globalMaskPatterns', 'globalAllowPatterns'].forEach(name => {
+      merged[name] = union(merged[name], incoming[name] || []);
+    });
+    return merged;
+  }
+
+  /**
+   * Store imported settings, merged with the current ones or replacing
+   * them.
+   * @param {Object} settings As returned by parseImport
+   * @param {string} mode 'merge' or 'replace'
+   * @param {function()} [callback]
+   */
+  function applyImport(settings, mode, callback) {
+    readSettings(current => {
+      const next = mode === 'replace'
+        ? Object.assign({}, SYNCED_DEFAULTS, settings)
+        : mergeSettings(current, settings);
+      chrome.storage.local.set(next, () => {
+        if (callback) callback();
+      });
+    });
+  }
+
+  /**
+   * Serialize a value to JSON with object keys in sorted order, so that
+   * equal settings always give the same string and hash.
+   * @param {*} value
+   * @returns {string}
+   */
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (isObject(value)) {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Hash a string (32‑bit FNV‑1a), for telling whether settings changed.
+   * @param {string} text
+   * @returns {string}
+   */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
+  }
+
+  /**
+   * Count the bytes a value takes up in chrome.storage.sync.
+   * @param {string} key
+   * @param {*} value
+   */
+  function syncBytes(key, value) {
+    return new TextEncoder().encode(key + JSON.stringify(value)).length;
+  }
+
+  /**
+   * Split a string into pieces that each fit in one sync item. Pieces
+   * never end between the two halves of a surrogate pair.
+   * @param {string} text
+   * @returns {Array<string>}
+   */
+  function splitChunks(text) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      // Three bytes per character is the most UTF-8 needs for one
+      // UTF-16 code unit; characters JSON escapes shrink the piece below.
+      let end = Math.min(text.length, start + Math.floor(CHUNK_BYTES / 3));
+      while (end > start + 1 && syncBytes(`${SYNC_CHUNK}${chunks.length}`, text.slice(start, end)) > CHUNK_BYTES) {
+        end = start + Math.floor((end - start) / 2);
+      }
+      const last = text.charCodeAt(end - 1);
+      if (end < text.length && end > start + 1 && last >= 0xd800 && last <= 0xdbff) {
+        end--;
+      }
+      chunks.push(text.slice(start, end));
+      start = end;
+    }
+    return chunks;
+  }
+
+  /**
+   * Record the outcome of a sync in local storage, for the options page.
+   * @param {Object} state {hash, remoteHash, error, syncedAt}
+   * @param {function()} [callback]
+   */
+  function setSyncState(state, callback) {
+    chrome.storage.local.set({ syncState: state }, () => {
+      if (callback) callback();
+    });
+  }
+
+  /**
+   * Send the local settings to chrome.storage.sync, unless they are the
+   * ones last sent or received.
+   * @param {function()} [callback]
+   */
+  function pushSync(callback) {
+    chrome.storage.local.get({ syncState: {} }, local => {
+      readSettings(settings => {
+        const text = stableStringify(settings);
+        const hash = hashString(text);
+        if (hash === local.syncState.hash && !local.syncState.error) {
+          if (callback) callback();
+          return;
+        }
+        const chunks = splitChunks(text);
+        const items = {};
+        chunks.forEach((chunk, i) => {
+          items[`${SYNC_CHUNK}${i}`] = chunk;
+        });
+        items[SYNC_META] = { schemaVersion: SCHEMA_VERSION, chunks: chunks.length, hash, updatedAt: Date.now() };
+        const total = Object.keys(items).reduce((sum, key) => sum + syncBytes(key, items[key]), 0);
+        if (total > SYNC_QUOTA) {
+          const error = `Your settings take ${Math.ceil(total / 1024)} KB, more than the ${Math.floor(SYNC_QUOTA / 1024)} KB browser sync allows. Remove some sites or patterns to sync again.`;
+          setSyncState(Object.assign({}, local.syncState, { error }), callback);
+          return;
+        }
+        chrome.storage.sync.get(SYNC_META, remote => {
+          const previous = remote[SYNC_META] ? remote[SYNC_META].chunks : 0;
+          // The sync change this write causes may be seen before the
+          // write calls back, so the remote hash is stored first and
+          // pullSync takes the change for our own
+          setSyncState(Object.assign({}, local.syncState, { remoteHash: hash }), () => {
+            chrome.storage.sync.set(items, () => {
+              if (chrome.runtime.lastError) {
+                setSyncState(Object.assign({}, local.syncState, { error: chrome.runtime.lastError.message }), callback);
+                return;
+              }
+              // Remove chunks left over from a longer earlier version
+              const stale = [];
+              for (let i = chunks.length; i < previous; i++) {
+                stale.push(`${SYNC_CHUNK}${i}`);
+              }
+              chrome.storage.sync.remove(stale, () => {
+                setSyncState({ hash, remoteHash: hash, error: null, syncedAt: Date.now() }, callback);
+              });
+            });
+          });
+        });
+      });
+    });
+  }
+
+  /**
+   * Read the settings stored in chrome.storage.sync.
+   * @param {function(?{settings:Object, hash:string})} callback Called
+   *   with null when there are none, they are incomplete or a newer
+   *   release wrote them
+   */
+  function readSync(callback) {
+    chrome.storage.sync.get(null, remote => {
+      const meta = remote[SYNC_META];
+      if (!isObject(meta) || !(meta.schemaVersion <= SCHEMA_VERSION)) {
+        callback(null);
+        return;
+      }
+      let text = '';
+      for (let i = 0; i < meta.chunks; i++) {
+        const chunk = remote[`${SYNC_CHUNK}${i}`];
+        if (typeof chunk !== 'string') {
+          // Not all chunks have arrived yet
+          callback(null);
+          return;
+        }
+        text += chunk;
+      }
+      let settings;
+      try {
+        settings = JSON.parse(text);
+      } catch (e) {
+        callback(null);
+        return;
+      }
+      if (hashString(text) !== meta.hash) {
+        callback(null);
+        return;
+      }
+      settings = cleanSettings(migrate(settings, meta.schemaVersion)).settings;
+      callback({ settings, hash: meta.hash });
+    });
+  }
+
+  /**
+   * Replace the local settings with those in chrome.storage.sync, when
+   * they changed elsewhere since the last sync.
+   * @param {function(boolean)} [callback] Called with whether the local
+   *   settings changed
+   */
+  function pullSync(callback) {
+    chrome.storage.local.get({ syncState: {} }, local => {
+      readSync(remote => {
+        if (!remote || remote.hash === local.syncState.remoteHash) {
+          if (callback) callback(false);
+          return;
+        }
+        const settings = Object.assign({}, SYNCED_DEFAULTS, remote.settings);
+        // Cleaning may have changed the settings, so the local hash that
+        // pushSync compares against is taken from what is stored.
+        const hash = hashString(stableStringify(settings));
+        chrome.storage.local.set(Object.assign(settings, {
+          syncState: { hash, remoteHash: remote.hash, error: null, syncedAt: Date.now() }
+        }), () => {
+          if (callback) callback(true);
+        });
+      });
+    });
+  }
+
+  /**
+   * Bring local and synced settings together when sync is turned on or
+   * the browser starts. Changes made here since the last sync are sent;
+   * otherwise changes made elsewhere are received. When sync is first
+   * turned on, the synced settings are merged into the local ones so
+   * that neither side is lost.
+   * @param {boolean} firstTime
+   * @param {function(boolean)} [callback] Called with whether the local
+   *   settings changed
+   */
+  function startSync(firstTime, callback) {
+    chrome.storage.local.get({ syncState: {} }, local => {
+      readSettings(settings => {
+        const localHash = hashString(stableStringify(settings));
+        readSync(remote => {
+          const done = changed => pushSync(() => {
+            if (callback) callback(changed);
+          });
+          if (!remote) {
+            done(false);
+          } else if (firstTime) {
+            chrome.storage.local.set(mergeSettings(settings, remote.settings), () => done(true));
+          } else if (localHash !== local.syncState.hash) {
+            done(false);
+          } else {
+            pullSync(changed => {
+              if (callback) callback(changed);
+            });
+          }
+        });
+      });
+    });
+  }
+
+  root.SeeNoNumbersSettings = {
+    SCHEMA_VERSION,
+    SYNC_META,
+    SYNCED_KEYS,
+    applyImport,
+    exportSettings,
+    migrateStorage,
+    parseImport,
+    pullSync,
+    pushSync,
+    startSync
+  };
+})(globalThis);
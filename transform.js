@@ -0,0 +1,985 @@
+/*
+ * Shared number detection for See No Numbers.
+ *
+ * This script is loaded both as a content script (before content.js)
+ * and into the page itself (before injection.js), so that text in the
+ * DOM and text drawn into a canvas are masked by exactly the same
+ * rules. It also backs pattern validation in the popup. Everything is
+ * exposed on a single SeeNoNumbers global.
+ *
+ * The configuration object passed to these functions can contain:
+ *   - hideMagnitude (boolean): replace every match with exactly three
+ *     bullet characters (•••) instead of one bullet per character.
+ *   - maskPatterns (Array<{pattern:string, regex:boolean}>): text that
+ *     is always masked, even inside a date.
+ *   - allowPatterns (Array<{pattern:string, regex:boolean}>): text that
+ *     is never masked. These win over every other rule.
+ *   - maskGlyph (string): the character each digit or letter of a match
+ *     is replaced with, '•' by default, or a string that replaces the
+ *     whole match, such as "[redacted]".
+ *   - approximate (string): 'off', or a key of BUCKET_STYLES to show
+ *     numbers by their rough size ("10K+", "under 100", "~1M" or a bar)
+ *     instead of masking them.
+ *   - maskCategories (Array<string>): the kinds of number to mask, from
+ *     the ids in CATEGORIES. Built‑in matches are classified by the text
+ *     around them; when this is missing every kind is masked. Matches
+ *     of mask patterns are always masked.
+ *   - preserveRules (Array<string>): the ids of the PRESERVATION_RULES
+ *     whose dates and times stay visible; every rule when missing.
+ *   - locale (string): a locale pack from LOCALE_PACKS whose number
+ *     words and magnitude suffixes are detected in addition to the
+ *     English ones. content.js resolves "auto" to the page's language
+ *     with localeForLanguage before passing the configuration on.
+ * Literal patterns match case‑insensitively anywhere in the text, or,
+ * with whole set, only where no digit or letter adjoins them; regex
+ * patterns are compiled with the "gi" flags.
+ */
+
+(root => {
+  // Words that English number phrases are built from.
+  const englishUnits = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen'
+  ];
+  const englishTens = [
+    'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'
+  ];
+  const englishScales = ['hundred', 'thousand', 'million', 'billion', 'trillion'];
+  const englishOrdinals = [
+    'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+    'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth',
+    'seventeenth', 'eighteenth', 'nineteenth', 'twentieth', 'thirtieth',
+    'fortieth', 'fiftieth', 'sixtieth', 'seventieth', 'eightieth', 'ninetieth',
+    'hundredth', 'thousandth', 'millionth', 'billionth', 'trillionth'
+  ];
+  // "first" and "second" rarely mean a number on their own ("first
+  // name", "wait a second"), so they only count inside a compound such
+  // as "twenty-first".
+  const englishCompoundOrdinals = ['first', 'second'];
+  // Denominators that may follow a number: "three quarters", "two thirds".
+  const englishFractions = [
+    'half', 'halves', 'quarter', 'quarters', 'thirds', 'fourths', 'fifths',
+    'sixths', 'sevenths', 'eighths', 'ninths', 'tenths', 'hundredths',
+    'thousandths'
+  ];
+
+  // Roman numerals that are far more often abbreviations or words
+  // ("Washington DC", "Gemini CLI", size XL).
+  const romanExceptions = new Set([
+    'CD', 'CI', 'CLI', 'CM', 'CIV', 'CV', 'DC', 'DI', 'DIV', 'DIX', 'DM', 'LI',
+    'LIV', 'MC', 'MCV', 'MD', 'MDC', 'MI', 'MIX', 'MM', 'XL'
+  ]);
+
+  /**
+   * Build the regular expression source for an English number phrase.
+   * A phrase is one or more number words joined by spaces, hyphens,
+   * "and" or "of" ("twenty-five thousand", "three hundred and five",
+   * "hundreds of thousands"), optionally ending in an ordinal or a
+   * fraction ("twenty-first", "three quarters", "one and a half"),
+   * which may be "of a" scale ("three quarters of a million"). It may
+   * also start with "a", "half a" or "a couple" before a scale ("a
+   * dozen", "half a million", "a couple hundred"), or with digits
+   * before one ("1.5 million"). "one" after "no", "any", "every" or
+   * "some" is not a number.
+   * @returns {string}
+   */
+  function englishPhrase() {
+    const words = list => alternation(list);
+    const sp = '(?:\\s+|-)';
+    const end = '(?![\\p{L}\\p{N}])';
+    const scale = `(?:${words(englishScales)}|dozen)`;
+    const small = `(?:(?:${words(englishTens)})(?:${sp}(?:${words(englishUnits.concat(englishOrdinals, englishCompoundOrdinals))}))?` +
+      `|${words(englishUnits)}|${words(englishOrdinals)})`;
+    const term = `(?:${small}|${scale}s?)${end}`;
+    const lead = `(?:${term}` +
+      `|(?:a|half\\s+a|a\\s+(?:couple|half|quarter|third)(?:\\s+of(?:\\s+a)?)?)\\s+${scale}${end}` +
+      `|\\p{Nd}+(?:[.,]\\p{Nd}+)*\\s+${scale}s?${end})`;
+    const join = `(?:${sp}(?:and${sp})?|\\s+of\\s+)`;
+    const tail = `(?:${term}|a\\s+(?:half|quarter|third)${end}` +
+      `|(?:${words(englishFractions)})${end}(?:\\s+of\\s+a\\s+${scale}${end})?)`;
+    const notOne = '(?!(?<=\\b(?:no|any|every|some)[\\s-]+)one\\b)';
+    return `${notOne}${lead}(?:${join}${tail})*`;
+  }
+
+  // Number words and magnitude suffixes by language. English is always
+  // detected; the pack for the page's language is added to it. A pack's
+  // phrase is a regular expression source for whole number phrases; its
+  // words are matched one at a time. ordinals are endings written
+  // straight after digits ("3rd", "2e"), and roman enables Roman
+  // numerals after a capitalized word ("Louis XIV"). Suffixes
+  // are regular expression sources and, except for cjkSuffixes, must not
+  // be followed by a letter or digit, so that we don't consume the first
+  // letter of the next word (e.g. in "100 this"). Words that are also
+  // everyday articles ("ein", "un", "una") are left out. The German
+  // compoundParts may be joined into one word, with "und" between them
+  // ("zweiundzwanzig", "dreihundert"). groupSpaces allows a plain space
+  // as the thousands separator ("12 345"); no‑break and thin spaces
+  // always are.
+  const LOCALE_PACKS = {
+    en: {
+      label: 'English',
+      words: [],
+      suffixes: ['[kKmMbBtT]n?'],
+      ordinals: ['st', 'nd', 'rd', 'th'],
+      roman: true
+    },
+    de: {
+      label: 'Deutsch',
+      words: [
+        'eins', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'acht', 'neun',
+        'zehn', 'elf', 'zwölf', 'dreizehn', 'vierzehn', 'fünfzehn', 'sechzehn',
+        'siebzehn', 'achtzehn', 'neunzehn', 'zwanzig', 'dreißig', 'dreissig',
+        'vierzig', 'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig',
+        'hundert', 'tausend', 'million', 'millionen', 'milliarde', 'milliarden',
+        'billion', 'billionen'
+      ],
+      compoundParts: [
+        'ein', 'zwei', 'drei', 'vier', 'fünf', 'sechs', 'sieben', 'sieb', 'acht',
+        'neun', 'zehn', 'elf', 'zwölf', 'zwanzig', 'dreißig', 'dreissig', 'vierzig',
+        'fünfzig', 'sechzig', 'siebzig', 'achtzig', 'neunzig', 'hundert', 'tausend'
+      ],
+      compoundJoiner: 'und',
+      suffixes: ['Mrd\\.?', 'Mio\\.?', 'Tsd\\.?', 'Bio\\.?']
+    },
+    fr: {
+      label: 'Français',
+      words: [
+        'zéro', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf',
+        'dix', 'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize', 'vingt',
+        'vingts', 'trente', 'quarante', 'cinquante', 'soixante', 'septante',
+        'huitante', 'octante', 'nonante', 'cent', 'cents', 'mille', 'million',
+        'millions', 'milliard', 'milliards'
+      ],
+      suffixes: ['Mds?', 'Mrds?'],
+      ordinals: ['er', 'ère', 'e', 'ème'],
+      groupSpaces: true
+    },
+    es: {
+      label: 'Español',
+      words: [
+        'cero', 'uno', 'dos', 'tres', 'cuatro', 'cinco', 'seis', 'siete', 'ocho',
+        'nueve', 'diez', 'once', 'doce', 'trece', 'catorce', 'quince', 'dieciséis',
+        'diecisiete', 'dieciocho', 'diecinueve', 'veinte', 'veintiuno', 'veintidós',
+        'veintitrés', 'veinticuatro', 'veinticinco', 'veintiséis', 'veintisiete',
+        'veintiocho', 'veintinueve', 'treinta', 'cuarenta', 'cincuenta', 'sesenta',
+        'setenta', 'ochenta', 'noventa', 'cien', 'ciento', 'doscientos',
+        'trescientos', 'cuatrocientos', 'quinientos', 'seiscientos', 'setecientos',
+        'ochocientos', 'novecientos', 'mil', 'millón', 'millones', 'billón',
+        'billones'
+      ],
+      suffixes: ['MM', 'mill\\.?', 'mil'],
+      ordinals: ['º', 'ª']
+    },
+    in: {
+      label: 'Indian (lakh, crore)',
+      words: ['lakh', 'lakhs', 'lac', 'lacs', 'crore', 'crores', 'arab', 'kharab'],
+      suffixes: ['lakhs?', 'lacs?', 'crores?', 'L', 'Cr', 'cr']
+    },
+    ja: {
+      label: '日本語',
+      words: [],
+      cjkSuffixes: ['千', '万', '億', '兆']
+    },
+    zh: {
+      label: '中文',
+      words: [],
+      cjkSuffixes: ['千', '万', '萬', '亿', '億', '兆']
+    }
+  };
+
+  LOCALE_PACKS.en.phrase = englishPhrase();
+  // Words one of which every English phrase contains
+  LOCALE_PACKS.en.phraseWords = englishUnits.concat(englishTens, englishScales, englishOrdinals, ['dozen']);
+
+  // Languages written in India, whose pages use lakh and crore.
+  const INDIAN_LANGUAGES = ['hi', 'mr', 'bn', 'gu', 'pa', 'ta', 'te', 'kn', 'ml', 'or', 'as', 'ur'];
+
+  // Kinds of number a match can be classified as, in the order they are
+  // tested; plain is whatever matches none of the others.
+  const CATEGORIES = [
+    { id: 'currency', label: 'Prices and amounts of money' },
+    { id: 'percentage', label: 'Percentages' },
+    { id: 'rating', label: 'Ratings and scores' },
+    { id: 'relativeTime', label: 'Relative times ("3 hours ago")' },
+    { id: 'social', label: 'Follower, like and view counts' },
+    { id: 'measurement', label: 'Measurements with a unit' },
+    { id: 'plain', label: 'Other numbers' }
+  ];
+
+  // Context tested by classifyMatch. "before" expressions must match the
+  // text up to the number and "after" expressions the text following it,
+  // including any magnitude suffix or scale word the number itself
+  // ended with ("1.5 million dollars").
+  const magnitude = '(?:\\s*(?:[kKmMbB]n?|hundreds?|thousands?|millions?|billions?|trillions?|lakhs?|crores?)(?![\\p{L}]))*';
+  const currencyCodes = 'USD|EUR|GBP|JPY|CNY|RMB|INR|CAD|AUD|NZD|CHF|SEK|NOK|DKK|PLN|BRL|MXN|ZAR|KRW|HKD|SGD|TRY';
+  const timeUnits = 'seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|wks?|w|months?|mos?|years?|yrs?|y';
+  const categoryContext = {
+    currency: {
+      before: new RegExp(`(?:[$€£¥₹₩₽¢₺₪฿₫₴₦]|(?<![\\p{L}])(?:${currencyCodes}|Rs\\.?|R\\$|US\\$|A\\$|C\\$))\\s*[-–]?\\s*$`, 'u'),
+      after: new RegExp(`^${magnitude}\\s*(?:[$€£¥₹₩₽¢₺₪฿₫₴₦円元]|(?:${currencyCodes}|dollars?|euros?|yen|yuan|rupees?|cents?|bucks)(?![\\p{L}]))`, 'iu')
+    },
+    percentage: {
+      before: /%\s*$/u,
+      after: /^\s*(?:%|‰|(?:percent|per\s?cent|pct|percentage\s+points?)(?![\p{L}]))/iu
+    },
+    rating: {
+      before: /(?:★|⭐|(?<![\p{L}])(?:rated|rating|score)\s*:?|(?<![\p{L}])out\s+of)\s*$/iu,
+      after: /^\s*(?:\/\s*(?:5|10|100)(?![\p{N}])|out\s+of\s+\p{N}|stars?(?![\p{L}])|★|⭐)/iu
+    },
+    relativeTime: {
+      before: new RegExp(`(?<![\\p{L}])in\\s+(?:about\\s+|under\\s+|over\\s+)?$`, 'iu'),
+      after: new RegExp(`^(?:\\s*(?:${timeUnits})\\s+(?:ago|from\\s+now|earlier|later|left|remaining)(?![\\p{L}])|(?:h|d|w|mo|y)(?![\\p{L}\\p{N}]))`, 'iu'),
+      // Units that "in" must be followed by: "in 3 days"
+      unit: /^\s*(?:seconds?|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?)(?![\p{L}])/iu
+    },
+    social: {
+      before: /(?<![\p{L}])(?:followers|following|likes|views|subscribers|comments|replies|shares|retweets|reposts|stars|forks|upvotes|votes|plays|members|downloads)\s*:?\s*$/iu,
+      after: new RegExp(`^${magnitude}\\s*(?:followers?|following|likes?|views?|subscribers?|subs|comments?|replies|reply|shares?|retweets?|reposts?|reactions?|forks?|upvotes?|downvotes?|votes?|plays?|listeners?|members?|watchers?|downloads?|clicks?|impressions?|reviews?|ratings?)(?![\\p{L}])`, 'iu')
+    },
+    measurement: {
+      before: /×\s*$/u,
+      after: /^\s*(?:mm|cm|km|m|mi|ft|yd|kg|g|mg|lbs?|oz|ml|l|gal|°[CF]?|kWh|kW|MW|mAh|Hz|kHz|MHz|GHz|KB|MB|GB|TB|kB|Mb|Gb|px|pt|em|rem|mph|km\/h|kph|kcal|cal|sq\s?ft|m²|km²|cups?|tbsp|tsp|inch(?:es)?|feet|foot|meters?|metres?|kilometers?|kilometres?|miles?|pounds?|ounces?|grams?|kilograms?|liters?|litres?|gallons?|degrees?|calories?|minutes?|mins?|hours?|hrs?|seconds?|secs?|days?|weeks?|months?|years?)(?![\p{L}])/u
+    }
+  };
+
+  /**
+   * Classify a match by the text around it.
+   * @param {string} text
+   * @param {number} start
+   * @param {number} end
+   * @returns {string} A category id from CATEGORIES
+   */
+  function classifyMatch(text, start, end) {
+    const match = text.slice(start, end);
+    const before = text.slice(Math.max(0, start - 30), start);
+    // A suffix the number regex took in ("5m", "1.2K") is context too.
+    const suffix = /^\p{Nd}/u.test(match) ? match.replace(/^[\p{Nd}.,'\u2019\s]+/u, '') : '';
+    const after = suffix + text.slice(end, end + 40);
+    for (const { id } of CATEGORIES) {
+      const context = categoryContext[id];
+      if (!context) continue;
+      if (context.after.test(after)) return id;
+      if (context.before.test(before) && (!context.unit || context.unit.test(after))) return id;
+    }
+    return 'plain';
+  }
+
+  // Month names in the languages of the locale packs, longest first so
+  // that "June" is not cut short to "Jun".
+  const monthNames = alternation([
+    'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+    'September', 'October', 'November', 'December',
+    'Jan', 'Feb', 'Mar', 'Apr', 'Jun', 'Jul', 'Aug', 'Sep', 'Sept', 'Oct', 'Nov', 'Dec',
+    'Januar', 'Februar', 'März', 'Mai', 'Juni', 'Juli', 'Oktober', 'Dezember',
+    'janvier', 'février', 'mars', 'avril', 'juin', 'juillet', 'août', 'septembre',
+    'octobre', 'novembre', 'décembre',
+    'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto',
+    'septiembre', 'octubre', 'noviembre', 'diciembre'
+  ]);
+
+  // Rules for numbers that are kept visible because they are part of a
+  // date or time. Each can be switched off per site through
+  // config.preserveRules. A contextual rule only applies when the match
+  // would be classified as a plain number, so "$2000" and "1999
+  // followers" are not taken for years.
+  const PRESERVATION_RULES = [
+    {
+      id: 'monthDate',
+      label: 'Dates with month names',
+      patterns: [
+        // Month first: "Nov 22, 2025", "January 5th"
+        new RegExp(`(?<![\\p{L}])(?:${monthNames})\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s*\\d{2,4})?`, 'giu'),
+        // Day first: "22 Nov 2025", "22. November 2025", "15 de marzo de 2025"
+        new RegExp(`(?<![\\p{L}\\p{N}])\\d{1,2}(?:st|nd|rd|th|er|\\.)?\\s+(?:de\\s+)?(?:${monthNames})(?![\\p{L}])\\.?(?:,?\\s+(?:de\\s+)?\\d{4})?`, 'giu'),
+        // Chinese and Japanese: "2025年3月15日", "3月15日"
+        /\d{2,4}年\d{1,2}月(?:\d{1,2}日)?|\d{1,2}月\d{1,2}日/gu
+      ]
+    },
+    {
+      id: 'numericDate',
+      label: 'Numeric dates',
+      patterns: [
+        // Slashes, month or day first: "11/22", "22/11/2025", "11/22/25"
+        /\b\d{1,2}\/\d{1,2}(?:\/\d{2,4})?\b/g,
+        // Year first: "2025-12-15", "2025-12", "2025/12/15"
+        /\b(19|20)\d{2}[-/]\d{1,2}(?:[-/]\d{1,2})?\b/g,
+        // Dots or dashes, day first: "15.12.2025", "15.12.25", "15-12-2025"
+        /\b\d{1,2}\.\d{1,2}\.\d{2,4}\b/g,
+        /\b\d{1,2}-\d{1,2}-(19|20)\d{2}\b/g
+      ]
+    },
+    {
+      id: 'isoTimestamp',
+      label: 'ISO 8601 timestamps',
+      patterns: [
+        // "2025-12-15T10:30:00Z", "2025-12-15 10:30:00.123+01:00"
+        /\b\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?(?:\s?(?:Z|UTC|GMT|[+-]\d{2}(?::?\d{2})?))?/g
+      ]
+    },
+    {
+      id: 'time',
+      label: 'Times of day',
+      patterns: [
+        // "10:30", "10:30:45", "10:30 AM"
+        /\b\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AaPp][Mm])?\b/g,
+        // "14h30"
+        /\b\d{1,2}h\d{2}\b/g
+      ]
+    },
+    {
+      id: 'year',
+      label: 'Years (1900–2099)',
+      contextual: true,
+      patterns: [
+        /\b(19|20)\d{2}\b/g
+      ]
+    },
+    {
+      id: 'week',
+      label: 'Week numbers',
+      patterns: [
+        // "Week 12", "wk 12", "KW 12", "semaine 12"
+        /(?<![\p{L}])(?:week|wk|KW|semaine|semana)\.?\s*\d{1,2}\b/giu,
+        // "2025-W12", "2025W12-3", "W12"
+        /\b(?:(?:19|20)\d{2}-?)?W\d{2}(?:-?[1-7])?\b/g
+      ]
+    },
+    {
+      id: 'quarter',
+      label: 'Quarters and fiscal years',
+      patterns: [
+        // "Q3", "Q3 2025", "Q3 FY24", "H1 '25"
+        /\b(?:Q[1-4]|H[12])(?:\s*(?:FY)?\s*'?(?:19|20)?\d{2}\b)?/g,
+        // "FY2025", "FY 25"
+        /\bFY\s*'?(?:19|20)?\d{2}\b/g,
+        // "2025 Q3", "2025-Q3"
+        /\b(?:19|20)\d{2}[\s-]?(?:Q[1-4]|H[12])\b/g
+      ]
+    },
+    {
+      id: 'day',
+      label: 'Day counts ("Day 13")',
+      patterns: [
+        /\bDay\s+\d{1,2}\b/gi
+      ]
+    }
+  ];
+
+  /**
+   * Pick the locale pack for a BCP 47 language tag such as the page's
+   * lang attribute. Any tag with the region IN, or an Indian language,
+   * gets the lakh and crore pack; unknown languages get English.
+   * @param {string} lang
+   * @returns {string} A key of LOCALE_PACKS
+   */
+  function localeForLanguage(lang) {
+    const [language, region] = String(lang || '').toLowerCase().split(/[-_]/);
+    if (region === 'in' || INDIAN_LANGUAGES.includes(language)) {
+      return 'in';
+    }
+    return Object.prototype.hasOwnProperty.call(LOCALE_PACKS, language) ? language : 'en';
+  }
+
+  /**
+   * Escape a string for use in a regular expression.
+   * @param {string} text
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Join words into a regular expression alternation, longest first so
+   * that no word is cut short by a shorter one it starts with.
+   * @param {Array<string>} words
+   */
+  function alternation(words) {
+    return Array.from(new Set(words))
+      .sort((a, b) => b.length - a.length)
+      .map(escapeRegExp)
+      .join('|');
+  }
+
+  /**
+   * Build the number and number‑word expressions for a set of locale
+   * packs. Digits from any script (Arabic‑Indic, Devanagari, full‑width
+   * and so on) are matched.
+   * @param {Array<Object>} packs
+   * @returns {{number:RegExp, word:RegExp, wordHint:?RegExp, roman:?RegExp}}
+   */
+  function buildDetectors(packs) {
+    const spaces = '\\u00A0\\u2009\\u202F' + (packs.some(p => p.groupSpaces) ? ' ' : '');
+    // A space only separates groups of exactly three digits, so that two
+    // numbers side by side ("3 10") are not joined into one.
+    const separator = `(?:[.,'\\u2019\\uFF0C\\uFF0E]|[${spaces}](?=\\p{Nd}{3}(?!\\p{Nd})))`;
+    const suffixes = [];
+    const ordinals = [];
+    packs.forEach(p => {
+      (p.ordinals || []).forEach(ending => ordinals.push(escapeRegExp(ending)));
+      (p.suffixes || []).forEach(source => {
+        suffixes.push(`(?:${source})(?![\\p{L}\\p{N}_])`);
+      });
+      (p.cjkSuffixes || []).forEach(source => suffixes.push(source));
+    });
+    const ending = ordinals.length
+      ? `(?:${ordinals.join('|')})(?![\\p{L}\\p{N}_])|`
+      : '';
+    const number = new RegExp(
+      `\\p{Nd}+(?:${separator}\\p{Nd}+)*(?:${ending}\\s*(?:${suffixes.join('|')}))?`, 'gu');
+    const alternatives = [];
+    packs.forEach(p => {
+      if (p.phrase) {
+        alternatives.push(p.phrase);
+      }
+      if (p.compoundParts) {
+        const parts = alternation(p.compoundParts);
+        alternatives.push(`(?:${parts})(?:(?:${p.compoundJoiner})?(?:${parts}))+`);
+      }
+    });
+    const words = alternation([].concat(...packs.map(p => p.words)));
+    if (words) {
+      alternatives.push(words);
+    }
+    const word = new RegExp(
+      `(?<![\\p{L}\\p{N}])(?:${alternatives.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+    // Every match of word contains one of the packs' words, so text
+    // containing none of them anywhere can skip it. A word containing
+    // a shorter one ("fourteen" has "four") adds nothing to the test.
+    const stems = Array.from(new Set([].concat(...packs.map(p => (p.phraseWords || [])
+      .concat(p.words, p.compoundParts || [])))
+      .map(w => w.toLowerCase())));
+    const shortest = stems.filter(w => !stems.some(other => other !== w && w.includes(other)));
+    const wordHint = shortest.length ? new RegExp(alternation(shortest), 'iu') : null;
+    // Roman numerals from II up to MMMCMXCIX, in capitals, following a
+    // capitalized word as in "World War II" or "Chapter IV".
+    const roman = packs.some(p => p.roman)
+      ? /(?<=\b\p{Lu}\p{Ll}+\s+)(?=[MDCLXVI]{2})M{0,3}(?:CM|CD|D?C{0,3})(?:XC|XL|L?X{0,3})(?:IX|IV|V?I{0,3})(?![\p{L}\p{N}])/gu
+      : null;
+    return { number, word, wordHint, roman };
+  }
+
+  // Detectors by locale, built the first time a locale is used.
+  const detectors = {};
+
+  /**
+   * Get the number and number‑word expressions for a locale.
+   * @param {string} locale
+   * @returns {{number:RegExp, word:RegExp, wordHint:?RegExp, roman:?RegExp}}
+   */
+  function getDetectors(locale) {
+    const key = Object.prototype.hasOwnProperty.call(LOCALE_PACKS, locale) ? locale : 'en';
+    if (!detectors[key]) {
+      const packs = key === 'en' ? [LOCALE_PACKS.en] : [LOCALE_PACKS.en, LOCALE_PACKS[key]];
+      detectors[key] = buildDetectors(packs);
+    }
+    return detectors[key];
+  }
+
+  /**
+   * Compile a user pattern into a global, case‑insensitive regular
+   * expression. Literal patterns are escaped first, and a whole literal
+   * must not be part of a longer number or word, so that allowing "3"
+   * leaves "30" and "3.5" masked.
+   * @param {{pattern:string, regex:boolean, whole:(boolean|undefined)}} rule
+   * @returns {?RegExp} null if the pattern is empty or invalid
+   */
+  function compilePattern(rule) {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern) {
+      return null;
+    }
+    if (!rule.regex && rule.whole) {
+      const before = '(?<![\\p{L}\\p{N}]|\\p{N}[.,])';
+      const after = '(?![\\p{L}\\p{N}]|[.,]\\p{N})';
+      return new RegExp(before + escapeRegExp(rule.pattern) + after, 'giu');
+    }
+    const source = rule.regex ? rule.pattern : escapeRegExp(rule.pattern);
+    try {
+      return new RegExp(source, 'gi');
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Compiled user patterns, cached per configuration object so they are
+  // built once rather than for every string.
+  const compiledRules = new WeakMap();
+
+  /**
+   * Get the compiled mask and allow patterns of a configuration, and
+   * the number detectors for its locale.
+   * @param {Object} config
+   * @returns {{mask:Array<RegExp>, allow:Array<RegExp>, number:RegExp, word:RegExp}}
+   */
+  function getRules(config) {
+    let rules = compiledRules.get(config);
+    if (!rules) {
+      rules = {
+        mask: (config.maskPatterns || []).map(compilePattern).filter(Boolean),
+        allow: (config.allowPatterns || []).map(compilePattern).filter(Boolean),
+        ...getDetectors(config.locale)
+      };
+      compiledRules.set(config, rules);
+    }
+    return rules;
+  }
+
+  /**
+   * Collect the ranges of text matched by each of the given regular
+   * expressions. Empty matches are ignored.
+   * @param {string} text
+   * @param {Array<RegExp>} patterns
+   * @returns {Array<{start:number,end:number}>}
+   */
+  function findRanges(text, patterns) {
+    const ranges = [];
+    patterns.forEach(re => {
+      re.lastIndex = 0;  // Reset to avoid state pollution from previous calls
+      let match;
+      while ((match = re.exec(text)) !== null) {
+        if (!match[0].length) {
+          // Step past empty matches so that user patterns such as
+          // "x*" cannot loop forever.
+          re.lastIndex++;
+          continue;
+        }
+        ranges.push({ start: match.index, end: match.index + match[0].length });
+      }
+    });
+    return ranges;
+  }
+
+  /**
+   * Identify ranges of characters that the preservation rules enabled
+   * in config.preserveRules keep visible; all of them when it is
+   * missing. Each range names the rule that found it.
+   * @param {string} text
+   * @param {Object} config
+   * @returns {Array<{start:number,end:number,rule:string}>}
+   */
+  function findDateRanges(text, config) {
+    const enabled = config.preserveRules;
+    const ranges = [];
+    PRESERVATION_RULES.forEach(rule => {
+      if (enabled && !enabled.includes(rule.id)) return;
+      findRanges(text, rule.patterns).forEach(r => {
+        if (rule.contextual && classifyMatch(text, r.start, r.end) !== 'plain') return;
+        ranges.push(Object.assign(r, { rule: rule.id }));
+      });
+    });
+    return ranges;
+  }
+
+  /**
+   * Check if an index falls within any of the date ranges.
+   * @param {number} index
+   * @param {Array<{start:number,end:number}>} ranges
+   */
+  function indexInRanges(index, ranges) {
+    for (const r of ranges) {
+      if (index >= r.start && index < r.end) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check if the range from start to end overlaps any of the ranges.
+   * @param {number} start
+   * @param {number} end
+   * @param {Array<{start:number,end:number}>} ranges
+   */
+  function overlapsRanges(start, end, ranges) {
+    for (const r of ranges) {
+      if (start < r.end && end > r.start) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Values of the magnitude suffixes and scale words of every locale
+  // pack, keyed in lower case without a trailing period.
+  const MAGNITUDES = {
+    k: 1e3, kn: 1e3, m: 1e6, mn: 1e6, b: 1e9, bn: 1e9, t: 1e12, tn: 1e12,
+    tsd: 1e3, mio: 1e6, mrd: 1e9, bio: 1e12, md: 1e9, mds: 1e9, mrds: 1e9,
+    mil: 1e3, mill: 1e6, mm: 1e6,
+    l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7,
+    '千': 1e3, '万': 1e4, '萬': 1e4, '亿': 1e8, '億': 1e8, '兆': 1e12
+  };
+
+  // Values of the English words parseNumber understands. Plural scales
+  // ("hundreds of thousands") count as the scale itself, and "a" before
+  // a scale as one.
+  const WORD_VALUES = {};
+  englishUnits.forEach((word, i) => {
+    WORD_VALUES[word] = i;
+  });
+  englishTens.forEach((word, i) => {
+    WORD_VALUES[word] = (i + 2) * 10;
+  });
+  WORD_VALUES.couple = 2;
+  // Fractions parseNumber understands: "half a million", "a quarter
+  // million", "one and a half".
+  const FRACTION_VALUES = { half: 1 / 2, quarter: 1 / 4 };
+  const SCALE_VALUES = {
+    hundred: 1e2, thousand: 1e3, million: 1e6, billion: 1e9, trillion: 1e12
+  };
+
+  /**
+   * Read a run of digits in any script, with grouping and decimal
+   * separators in either convention. When both "." and "," occur the
+   * last one is the decimal point; a single separator followed by
+   * exactly three digits is taken for grouping.
+   * @param {string} text
+   * @returns {number}
+   */
+  function parseDigits(text) {
+    let ascii = '';
+    for (const c of text) {
+      if (/\p{Nd}/u.test(c)) {
+        // Digits of every script come in runs of ten from zero
+        let zero = c.codePointAt(0);
+        while (/\p{Nd}/u.test(String.fromCodePoint(zero - 1))) zero--;
+        ascii += String((c.codePointAt(0) - zero) % 10);
+      } else if (c === ',' || c === '\uFF0C') {
+        ascii += ',';
+      } else if (c === '.' || c === '\uFF0E') {
+        ascii += '.';
+      }
+    }
+    const lastDot = ascii.lastIndexOf('.');
+    const lastComma = ascii.lastIndexOf(',');
+    let decimal = null;
+    if (lastDot !== -1 && lastComma !== -1) {
+      decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot !== -1 || lastComma !== -1) {
+      const sep = lastDot !== -1 ? '.' : ',';
+      const single = ascii.indexOf(sep) === ascii.lastIndexOf(sep);
+      if (single && ascii.length - ascii.lastIndexOf(sep) - 1 !== 3) {
+        decimal = sep;
+      }
+    }
+    const grouping = decimal === '.' ? /,/g : decimal === ',' ? /\./g : /[.,]/g;
+    return parseFloat(ascii.replace(grouping, '').replace(',', '.'));
+  }
+
+  /**
+   * Work out the value of a matched number: digits with an optional
+   * magnitude suffix ("1.2K", "5 Mio.", "3万") or an English number
+   * phrase ("twenty-five thousand", "half a million", "1.5 million").
+   * @param {string} match
+   * @returns {?number} null when the value cannot be told, as for
+   *   ordinals, fractions other than halves and quarters ("three
+   *   quarters") and words of other languages
+   */
+  function parseNumber(match) {
+    const numeric = /^\p{Nd}(?:[\p{Nd}.,'\u2019\uFF0C\uFF0E\u00A0\u2009\u202F ]*\p{Nd})?/u.exec(match);
+    if (numeric) {
+      const suffix = match.slice(numeric[0].length).trim().replace(/\.$/, '').toLowerCase();
+      if (!suffix || MAGNITUDES[suffix]) {
+        return parseDigits(numeric[0]) * (MAGNITUDES[suffix] || 1);
+      }
+    }
+    // A phrase, whose first word may be written in digits
+    let total = 0;
+    let current = 0;
+    const words = match.toLowerCase().split(/[\s-]+/).filter(word => !['a', 'and', 'of'].includes(word));
+    for (const word of words) {
+      const scale = SCALE_VALUES[word] || SCALE_VALUES[word.replace(/s$/, '')];
+      if (/^\p{Nd}[\p{Nd}.,]*$/u.test(word)) {
+        current += parseDigits(word);
+      } else if (Object.prototype.hasOwnProperty.call(FRACTION_VALUES, word)) {
+        // After a whole number ("two and a half") the fraction adds to
+        // it; otherwise it is what the scale after it multiplies
+        current += FRACTION_VALUES[word];
+      } else if (word === 'dozen' || word === 'dozens') {
+        current = (current || 1) * 12;
+      } else if (Object.prototype.hasOwnProperty.call(WORD_VALUES, word)) {
+        current += WORD_VALUES[word];
+      } else if (scale === 100) {
+        current = (current || 1) * 100;
+      } else if (scale) {
+        total += (current || 1) * scale;
+        current = 0;
+      } else {
+        return null;
+      }
+    }
+    return total + current;
+  }
+
+  /**
+   * Write a round number briefly: 100, 10K, 1M, 2.5B.
+   * @param {number} value
+   */
+  function formatCompact(value) {
+    const units = [[1e12, 'T'], [1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+    for (const [size, unit] of units) {
+      if (value >= size) {
+        return `${Number((value / size).toPrecision(2))}${unit}`;
+      }
+    }
+    return String(Number(value.toPrecision(2)));
+  }
+
+  // Bucket styles for approximate mode, with the text they produce for a
+  // value. Each is given the power of ten at or below the value and the
+  // minus sign and currency symbol written before the number, if any,
+  // which go straight before the figure ("under −$10K", "~$3K").
+  const BUCKET_STYLES = {
+    // "10K+"
+    plus: (value, floor, prefix) => (value < 10 ? `under ${prefix}10` : `${prefix}${formatCompact(floor)}+`),
+    // "under 100"
+    under: (value, floor, prefix) => `under ${prefix}${formatCompact(floor * 10)}`,
+    // "~3K", rounded to one significant digit
+    approx: (value, floor, prefix) => `~${prefix}${formatCompact(Number(value.toPrecision(1)))}`,
+    // "▮▮▮▮", one block per digit before the decimal point
+    bar: (value, floor, prefix) => prefix + '▮'.repeat(Math.max(1, Math.round(Math.log10(floor)) + 1))
+  };
+
+  // A minus sign or currency symbol written right before a number, which
+  // approximate mode moves into the bucket text. A hyphen after a letter
+  // or digit joins a range or code ("3-5", "A-5") rather than a sign.
+  const numberPrefixBefore =
+    /(?:(?<![\p{L}\p{N}])[-−](?:(?:US|R|A|C)?[$€£¥₹₩₽¢₺₪฿₫₴₦]\s?)?|(?:(?<![\p{L}])(?:US|R|A|C))?[$€£¥₹₩₽¢₺₪฿₫₴₦]\s?[-−]?)$/u;
+
+  /**
+   * Describe a value by its rough size in the given bucket style.
+   * @param {number} value
+   * @param {string} style A key of BUCKET_STYLES
+   * @param {string} [prefix] A minus sign or currency symbol to show
+   *   with the size
+   * @returns {?string}
+   */
+  function bucketNumber(value, style, prefix) {
+    const render = BUCKET_STYLES[style];
+    if (!render || !isFinite(value)) return null;
+    const size = Math.abs(value);
+    const floor = size >= 1 ? Math.pow(10, Math.floor(Math.log10(size))) : 1;
+    return render(size, floor, prefix || '');
+  }
+
+  /**
+   * Describe a matched number by its rough size, when approximate mode
+   * is on and its value can be worked out.
+   * @param {string} match
+   * @param {Object} config
+   * @param {string} [prefix] A minus sign or currency symbol to show
+   *   with the size
+   * @returns {?string}
+   */
+  function approximateMatch(match, config, prefix) {
+    if (!config.approximate || config.approximate === 'off') return null;
+    const value = parseNumber(match);
+    return value === null ? null : bucketNumber(value, config.approximate, prefix);
+  }
+
+  /**
+   * Compute the replacement for a matched number according to the
+   * current configuration. With an approximate bucket style set, a
+   * number whose value can be worked out is shown by its rough size. A
+   * maskGlyph of more than one character replaces the whole match. If
+   * hideMagnitude is true, every other match becomes exactly three
+   * replacement characters; otherwise digits and letters of any script
+   * are replaced one for one and punctuation is kept.
+   *
+   * @param {string} match
+   * @param {Object} config
+   */
+  function maskMatch(match, config) {
+    const bucket = approximateMatch(match, config);
+    if (bucket) {
+      return bucket;
+    }
+    const glyph = config.maskGlyph || '•';
+    if (Array.from(glyph).length > 1) {
+      return glyph;
+    }
+    if (config.hideMagnitude) {
+      return glyph.repeat(3);
+    }
+    let out = '';
+    for (let i = 0; i < match.length; i++) {
+      const c = match[i];
+      if (/[\p{L}\p{N}]/u.test(c)) {
+        out += glyph;
+      } else {
+        out += c;
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Find every substring of text that should be masked. Allow patterns
+   * win over everything; mask patterns are masked even inside dates;
+   * built‑in numbers and number words are masked outside dates when
+   * their category is one of config.maskCategories. Offsets refer to the
+   * original text; category is "custom" for mask pattern matches.
+   *
+   * If kept is given, it receives a { category, start, end } entry for
+   * every match left visible: "date" for each date or time kept by the
+   * preservation rules, with the id of the rule that found it, "allowed"
+   * for each number inside a "never mask" pattern, and the category of
+   * each number whose kind is not masked.
+   *
+   * @param {string} text
+   * @param {Object} config
+   * @param {Array<{category:string,start:number,end:number,rule:(string|undefined)}>} [kept]
+   * @returns {Array<{start:number,end:number,replacement:string,category:string}>}
+   */
+  function findMasks(text, config, kept) {
+    const rules = getRules(config);
+    // Most text on a page has no digits, and most of it has no number
+    // words either. Numbers and dates need a digit, number phrases one
+    // of the locale's number words and Roman numerals two capitals, so
+    // skip what cannot match before running the full expressions.
+    const hasDigits = /\p{Nd}/u.test(text);
+    const hasWords = Boolean(rules.wordHint) && rules.wordHint.test(text);
+    const hasRoman = Boolean(rules.roman) && /[MDCLXVI]{2}/.test(text);
+    if (!hasDigits && !hasWords && !hasRoman && !rules.mask.length) {
+      return [];
+    }
+    const allowed = findRanges(text, rules.allow);
+    const dates = hasDigits ? findDateRanges(text, config) : [];
+    if (kept) {
+      // Rules overlap ("Nov 22, 2025" contains a year), so count each
+      // stretch of dates once, under the rule of its widest match
+      let last = null;
+      dates.slice().sort((x, y) => x.start - y.start || y.end - x.end).forEach(r => {
+        if (last && r.start < last.end) {
+          last.end = Math.max(last.end, r.end);
+          return;
+        }
+        last = { category: 'date', rule: r.rule, start: r.start, end: r.end };
+        kept.push(last);
+      });
+    }
+    const masks = [];
+    const categories = config.maskCategories;
+    // Matches counted in kept, so that "3" is not counted again after
+    // "3 million"
+    const shown = [];
+    const keep = (start, end, category) => {
+      if (!kept) return;
+      if (!overlapsRanges(start, end, shown)) kept.push({ category, start, end });
+      shown.push({ start, end });
+    };
+    const add = (start, end, custom) => {
+      if (overlapsRanges(start, end, masks)) {
+        return;
+      }
+      if (overlapsRanges(start, end, allowed)) {
+        if (!custom) keep(start, end, 'allowed');
+        return;
+      }
+      const category = custom ? 'custom' : classifyMatch(text, start, end);
+      if (!custom && categories && !categories.includes(category)) {
+        keep(start, end, category);
+        return;
+      }
+      // A minus sign or currency symbol before the number goes into its
+      // rough size, as "under −$10K" rather than "-$under 10K"
+      const before = !custom && config.approximate && config.approximate !== 'off'
+        ? numberPrefixBefore.exec(text.slice(Math.max(0, start - 6), start))
+        : null;
+      const prefix = before && (/[-−]/.test(before[0]) ? '−' : '') + before[0].replace(/[-−\s]/g, '');
+      const bucket = before && approximateMatch(text.slice(start, end), config, prefix);
+      if (bucket && !overlapsRanges(start - before[0].length, start, allowed)) {
+        masks.push({ start: start - before[0].length, end, replacement: bucket, category });
+        return;
+      }
+      masks.push({ start, end, replacement: maskMatch(text.slice(start, end), config), category });
+    };
+    // Built-in matches: spelled‑out number phrases, before digits so
+    // that "1.5 million" becomes one mask, numeric sequences with
+    // optional suffixes or ordinal endings, and Roman numerals
+    const found = [];
+    let match;
+    rules.word.lastIndex = 0;
+    while (hasWords && (match = rules.word.exec(text)) !== null) {
+      found.push({ start: match.index, end: match.index + match[0].length, skipInDates: true });
+    }
+    rules.number.lastIndex = 0;
+    while (hasDigits && (match = rules.number.exec(text)) !== null) {
+      found.push({ start: match.index, end: match.index + match[0].length, skipInDates: true });
+    }
+    if (hasRoman) {
+      rules.roman.lastIndex = 0;
+      while ((match = rules.roman.exec(text)) !== null) {
+        if (romanExceptions.has(match[0])) continue;
+        found.push({ start: match.index, end: match.index + match[0].length, skipInDates: false });
+      }
+    }
+    // User "always mask" patterns come first, each widened to the
+    // built-in matches it overlaps, so that a pattern for "dozen"
+    // masks all of "a dozen"
+    findRanges(text, rules.mask).forEach(r => {
+      let { start, end } = r;
+      found.forEach(f => {
+        if (f.start < end && f.end > start) {
+          start = Math.min(start, f.start);
+          end = Math.max(end, f.end);
+        }
+      });
+      add(start, end, true);
+    });
+    found.forEach(f => {
+      if (f.skipInDates && indexInRanges(f.start, dates)) return;
+      add(f.start, f.end);
+    });
+    return masks.sort((x, y) => x.start - y.start);
+  }
+
+  /**
+   * Build the displayed string for text given its masks. Masks whose
+   * index is in revealed are shown with their original text. Returns the
+   * string together with the offsets of each mask within it.
+   *
+   * @param {string} text
+   * @param {Array<{start:number,end:number,replacement:string}>} masks
+   * @param {Set<number>} [revealed]
+   * @returns {{text:string, spans:Array<{start:number,end:number}>}}
+   */
+  function renderMasks(text, masks, revealed) {
+    let out = '';
+    let last = 0;
+    const spans = [];
+    masks.forEach((m, i) => {
+      out += text.slice(last, m.start);
+      const shown = revealed && revealed.has(i) ? text.slice(m.start, m.end) : m.replacement;
+      spans.push({ start: out.length, end: out.length + shown.length });
+      out += shown;
+      last = m.end;
+    });
+    out += text.slice(last);
+    return { text: out, spans };
+  }
+
+  /**
+   * Transform a string according to the current configuration.
+   *
+   * @param {string} text
+   * @param {Object} config
+   */
+  function transformString(text, config) {
+    return renderMasks(text, findMasks(text, config)).text;
+  }
+
+  root.SeeNoNumbers = {
+    CATEGORIES,
+    LOCALE_PACKS,
+    PRESERVATION_RULES,
+    bucketNumber,
+    classifyMatch,
+    compilePattern,
+    findMasks,
+    localeForLanguage,
+    maskMatch,
+    parseNumber,
+    renderMasks,
+    transformString
+  };
+})(globalThis);